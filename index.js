@@ -1,5 +1,41 @@
 import Model from './lib/model.js'
+import { createConnection } from './lib/connection.js'
 import DataTypes from './lib/datatypes.js'
+import { fetchAdapter, memoryAdapter } from './lib/adapters.js'
+import { bearer, apiKey, basic, cookie, hmac } from './lib/auth.js'
+import { memoryStore, localStorageStore } from './lib/offline.js'
+import { offset, page, cursor, link } from './lib/pagination.js'
+import { jsonApi } from './lib/serializers.js'
 
 
-export default { Model, DataTypes }
+const Adapters = {
+  fetch: fetchAdapter,
+  memory: memoryAdapter
+}
+
+const Auth = {
+  bearer,
+  apiKey,
+  basic,
+  cookie,
+  hmac
+}
+
+const Pagination = {
+  offset,
+  page,
+  cursor,
+  link
+}
+
+const Serializers = {
+  jsonApi
+}
+
+const Offline = {
+  memory: memoryStore,
+  localStorage: localStorageStore
+}
+
+
+export default { Model, createConnection, DataTypes, Adapters, Auth, Pagination, Serializers, Offline }
@@ -0,0 +1,150 @@
+/**
+ * Transport adapters
+ *
+ * An adapter is an async function which proceeds to the HTTP request
+ * @param {object} request
+ *  - url: full url of the request (query string included)
+ *  - method: HTTP method
+ *  - headers: plain object of request headers
+ *  - body: data to send (not serialized), undefined if there is nothing to send
+ *  - signal: AbortSignal to cancel the request (may be null)
+ *  - credentials: 'include' to send cookies cross-origin (may be undefined)
+ * @return {Promise<object>} response
+ *  - status: HTTP status code
+ *  - headers: plain object of response headers (lowercased names)
+ *  - data: parsed body of the response, null if empty
+ */
+
+
+// Helpers
+const parseBody = (text) => {
+  if (text === '') {
+    return null
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return text
+  }
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+
+/**
+ * Default adapter based on the Fetch API
+ * https://developer.mozilla.org/fr/docs/Web/API/Fetch_API
+ */
+async function fetchAdapter (request) {
+  const fetchResponse = await fetch(request.url, {
+    method: request.method,
+    mode: 'cors',
+    headers: request.headers,
+    body: request.body === undefined
+      ? undefined
+      : JSON.stringify(request.body),
+    signal: request.signal,
+    credentials: request.credentials
+  })
+
+  const headers = {}
+  fetchResponse.headers.forEach((value, name) => {
+    headers[name.toLowerCase()] = value
+  })
+
+  return {
+    status: fetchResponse.status,
+    headers: headers,
+    data: parseBody(await fetchResponse.text())
+  }
+}
+
+
+/**
+ * In-memory adapter serving fixtures per endpoint, useful to run models without a server
+ * @param {object} fixtures - responses by route
+ *  - key: 'METHOD /path' or '/path' for any method, path segments can be parameters (/users/:id)
+ *  - value: response object ({ status, headers, data }) or function (request, params) => response (empty 200 if nothing is returned)
+ * @param {object} options
+ *  - baseUrl: prefix to remove from the request url before matching the routes
+ * @return {function} adapter, requests received are logged in adapter.requests
+ */
+function memoryAdapter (fixtures = {}, options = {}) {
+  const routes = Object.entries(fixtures).map(([route, fixture]) => {
+    const [method, path] = route.includes(' ')
+      ? route.split(' ')
+      : [null, route]
+    const paramNames = []
+    const pattern = path
+      .split('/')
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          paramNames.push(segment.slice(1))
+          return '([^/]+)'
+        }
+        return escapeRegExp(segment)
+      })
+      .join('/')
+
+    return {
+      method: method && method.toUpperCase(),
+      regexp: new RegExp(`^${pattern}/?$`),
+      paramNames,
+      fixture
+    }
+  })
+
+  const adapter = async (request) => {
+    adapter.requests.push(request)
+
+    let path = request.url.split('?')[0]
+
+    if (options.baseUrl && path.startsWith(options.baseUrl)) {
+      path = path.slice(options.baseUrl.length)
+    } else {
+      path = path.replace(/^[a-z]+:\/\/[^/]+/i, '')
+    }
+
+    for (const route of routes) {
+      const match = route.regexp.exec(path)
+
+      if (match && (!route.method || route.method === request.method)) {
+        const params = {}
+        route.paramNames.forEach((name, index) => {
+          params[name] = decodeURIComponent(match[index + 1])
+        })
+
+        // A fixture function returning nothing answers an empty 200
+        const response = (
+          typeof route.fixture === 'function'
+            ? await route.fixture(request, params)
+            : route.fixture
+        ) || {}
+
+        // Serialize the data like a real server to avoid sharing references with the fixtures
+        return Object.assign({ status: 200, headers: {} }, response, {
+          data: response.data === undefined || response.data === null
+            ? null
+            : JSON.parse(JSON.stringify(response.data))
+        })
+      }
+    }
+
+    return {
+      status: 404,
+      headers: {},
+      data: null
+    }
+  }
+
+  adapter.requests = []
+
+  return adapter
+}
+
+
+export {
+  fetchAdapter,
+  memoryAdapter
+}
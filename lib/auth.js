@@ -0,0 +1,169 @@
+import { isFunction } from './utils/validation.js'
+
+
+/**
+ * Authentication strategies
+ *
+ * A strategy is an object with an async authorize method, or the authorize function itself
+ * It is called with the request before it is given to the transport adapter
+ * @param {object} request - { url, method, headers, body, signal, credentials }, to mutate
+ * @param {object} context - { model, instance, options }
+ */
+
+
+// Helpers
+const resolve = async (value) => (
+  isFunction(value)
+    ? value()
+    : value
+)
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+
+
+/**
+ * Authorization: Bearer <token>
+ * @param {string, function} token - token or function which returns the token (can be async)
+ */
+function bearer (token) {
+  return {
+    async authorize (request) {
+      const value = await resolve(token)
+
+      if (!value) {
+        throw new Error(`[Modelize][Auth] Impossible to get the auth token to access ${request.url}`)
+      }
+
+      request.headers['Authorization'] = `Bearer ${value}`
+    }
+  }
+}
+
+
+/**
+ * API key sent in a header or in the query string
+ * @param {object} options
+ *  - key: API key or function which returns it
+ *  - header: name of the header (default: X-API-Key)
+ *  - param: name of the query param, the key is sent in the url instead of a header
+ */
+function apiKey ({ key, header = 'X-API-Key', param = null }) {
+  return {
+    async authorize (request) {
+      const value = await resolve(key)
+
+      if (param) {
+        request.url += `${request.url.includes('?') ? '&' : '?'}${param}=${encodeURIComponent(value)}`
+      } else {
+        request.headers[header] = value
+      }
+    }
+  }
+}
+
+
+/**
+ * Authorization: Basic <base64(username:password)>
+ * @param {object} options
+ *  - username: value or function which returns it
+ *  - password: value or function which returns it
+ */
+function basic ({ username, password }) {
+  return {
+    async authorize (request) {
+      const credentials = `${await resolve(username)}:${await resolve(password)}`
+
+      request.headers['Authorization'] = `Basic ${toBase64(new TextEncoder().encode(credentials))}`
+    }
+  }
+}
+
+
+/**
+ * Cookie session, the CSRF token is sent in a header for unsafe methods
+ * @param {object} options
+ *  - csrfToken: function which returns the CSRF token (optional)
+ *  - csrfHeader: name of the header (default: X-CSRF-Token)
+ */
+function cookie ({ csrfToken = null, csrfHeader = 'X-CSRF-Token' } = {}) {
+  return {
+    async authorize (request) {
+      request.credentials = 'include'
+
+      if (csrfToken && !['GET', 'HEAD', 'OPTIONS'].includes(request.method)) {
+        request.headers[csrfHeader] = await resolve(csrfToken)
+      }
+    }
+  }
+}
+
+
+/**
+ * HMAC-SHA256 request signing (Web Crypto API)
+ * Authorization: <scheme> <keyId>:<base64 signature>
+ * @param {object} options
+ *  - keyId: public key id or function which returns it
+ *  - secret: secret key or function which returns it
+ *  - scheme: scheme of the header (default: HMAC)
+ *  - canonicalize: (request, date) => string to sign (default: method, url, date and JSON body on separate lines)
+ */
+function hmac ({
+  keyId,
+  secret,
+  scheme = 'HMAC',
+  canonicalize = (request, date) => [
+    request.method,
+    request.url,
+    date,
+    request.body === undefined ? '' : JSON.stringify(request.body)
+  ].join('\n')
+}) {
+  return {
+    async authorize (request) {
+      const date = new Date().toUTCString()
+      const encoder = new TextEncoder()
+      const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(await resolve(secret)),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+      )
+      const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(canonicalize(request, date)))
+
+      request.headers['X-Date'] = date
+      request.headers['Authorization'] = `${scheme} ${await resolve(keyId)}:${toBase64(signature)}`
+    }
+  }
+}
+
+
+/**
+ * Accept a strategy object or an authorize function
+ * @param {object, function} strategy
+ */
+function normalizeAuth (strategy) {
+  if (!strategy) {
+    return null
+  }
+
+  if (isFunction(strategy)) {
+    return { authorize: strategy }
+  }
+
+  if (!isFunction(strategy.authorize)) {
+    throw new Error(`[Modelize][Auth] An auth strategy requires an authorize method`)
+  }
+
+  return strategy
+}
+
+
+export {
+  bearer,
+  apiKey,
+  basic,
+  cookie,
+  hmac,
+  normalizeAuth
+}
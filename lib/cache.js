@@ -0,0 +1,94 @@
+import {
+  isFunction,
+  isString
+} from './utils/validation.js'
+
+
+/**
+ * Check if a request url is the url or below it, by path segment: /users matches /users/1 and /users?page=2, not /users-groups
+ * @param {string} key - request url
+ * @param {string} url - url prefix
+ */
+const isUnderUrl = (key, url) => (
+  url === '' ||
+  key === url ||
+  key.startsWith(`${url}/`) ||
+  key.startsWith(`${url}?`)
+)
+
+
+/**
+ * Store of GET responses keyed by request url
+ * - shares the requests in progress
+ * - keeps the most recent entries only
+ */
+class ResponseCache {
+  constructor (max = 500) {
+    this.max = max
+    this.entries = new Map()
+    this.inflight = new Map()
+  }
+
+  /**
+   * Get a cached entry
+   * @param {string} key - request url
+   * @return {object} { request, response, time, collection } or undefined
+   */
+  get (key) {
+    return this.entries.get(key)
+  }
+
+  /**
+   * Cache a response
+   * @param {string} key - request url
+   * @param {object} entry - { request, response, collection }
+   */
+  set (key, entry) {
+    // Move the entry to the end to keep the most recent ones
+    this.entries.delete(key)
+    this.entries.set(key, Object.assign({ time: Date.now() }, entry))
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Share a request in progress
+   * @param {string} key - request url
+   * @param {function} request - start the request if there is none in progress for the key
+   * @return {Promise}
+   */
+  share (key, request) {
+    if (!this.inflight.has(key)) {
+      this.inflight.set(key, request().finally(() => this.inflight.delete(key)))
+    }
+
+    return this.inflight.get(key)
+  }
+
+  /**
+   * Remove entries
+   * @param {string, RegExp, function} pattern - url prefix, regexp or function (key, entry) => boolean
+   */
+  invalidate (pattern = '') {
+    const match = isFunction(pattern)
+      ? pattern
+      : isString(pattern)
+        ? (key) => isUnderUrl(key, pattern)
+        : (key) => pattern.test(key)
+
+    for (const [key, entry] of this.entries) {
+      if (match(key, entry)) {
+        this.entries.delete(key)
+      }
+    }
+  }
+}
+
+
+export default ResponseCache
+
+export {
+  isUnderUrl
+}
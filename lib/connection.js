@@ -0,0 +1,21 @@
+import Model from './model.js'
+
+
+/**
+ * Create a base model bound to its own api
+ * Settings, auth session, caches and offline queue are isolated from the other connections
+ * @param {object} options - Model.config() options
+ * @return {class} base model to extend
+ */
+function createConnection (options = {}) {
+  class Connection extends Model {}
+
+  Connection.config(options)
+
+  return Connection
+}
+
+
+export {
+  createConnection
+}
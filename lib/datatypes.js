@@ -215,12 +215,12 @@ const DataTypes = {
     defaultValue: () => ([]),
     isBlank: (value) => value.isEmpty(),
     isValid: (value) => value instanceof Model && value.isCollection() && isArray(value.items()),
-    beforeSave: (value) => value._beforeSave(),
+    beforeSave: (value, visited) => value._beforeSave(visited),
     beforeBuild: (value, options) => {
       if (!value) {
         return null
       } else if (value instanceof Model) {
-        return value
+        return Model._identify(value)
       } else {
         return new Model(value, options)
       }
@@ -233,9 +233,9 @@ const DataTypes = {
     defaultValue: (primaryKey) => Model._buildRawItem({ primaryKey }),
     isBlank: (value) => value === null,
     isValid: (value) => value instanceof Model && has(value, Model.primaryKeyFieldname),
-    beforeSave: (value) => {
+    beforeSave: (value, visited) => {
       if (value instanceof Model) {
-        return value._beforeSave()
+        return value._beforeSave(visited)
       } else {
         return null
       }
@@ -244,7 +244,7 @@ const DataTypes = {
       if (!value) {
         return null
       } else if (value instanceof Model) {
-        return value
+        return Model._identify(value)
       } else {
         return new Model(value, options)
       }
@@ -257,9 +257,9 @@ const DataTypes = {
     defaultValue: () => Model._buildRawItem(),
     isBlank: (value) => value === null,
     isValid: (value) => value instanceof Model && has(value, Model.primaryKeyFieldname),
-    beforeSave: (value) => {
+    beforeSave: (value, visited) => {
       if (value instanceof Model) {
-        return value._beforeSave()
+        return value._beforeSave(visited)
       } else {
         return null
       }
@@ -268,7 +268,7 @@ const DataTypes = {
       if (!value) {
         return null
       } else if (value instanceof Model) {
-        return value
+        return Model._identify(value)
       } else {
         return new Model(value, options)
       }
@@ -0,0 +1,59 @@
+/**
+ * Canonical instances of a model by primary key
+ * The least recently used instances are evicted above the max size
+ */
+class IdentityMap {
+  constructor (max = 1000) {
+    this.max = max
+    this.instances = new Map()
+  }
+
+  get size () {
+    return this.instances.size
+  }
+
+  /**
+   * Get the canonical instance of a primary key
+   * @param {*} primaryKey
+   */
+  get (primaryKey) {
+    const instance = this.instances.get(primaryKey)
+
+    // Move the instance to the end to keep the most recently used ones
+    if (instance) {
+      this.instances.delete(primaryKey)
+      this.instances.set(primaryKey, instance)
+    }
+
+    return instance
+  }
+
+  /**
+   * Register the canonical instance of a primary key
+   * @param {*} primaryKey
+   * @param {object} instance
+   */
+  set (primaryKey, instance) {
+    this.instances.delete(primaryKey)
+    this.instances.set(primaryKey, instance)
+
+    while (this.instances.size > this.max) {
+      this.instances.delete(this.instances.keys().next().value)
+    }
+  }
+
+  /**
+   * Evict an instance or every instance
+   * @param {*} primaryKey - optional
+   */
+  evict (primaryKey) {
+    if (primaryKey === undefined) {
+      this.instances.clear()
+    } else {
+      this.instances.delete(primaryKey)
+    }
+  }
+}
+
+
+export default IdentityMap
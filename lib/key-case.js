@@ -0,0 +1,59 @@
+import { isFunction } from './utils/validation.js'
+
+
+// Helpers
+const splitWords = (name) => String(name)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+  .split(/[\s_-]+/)
+  .filter(word => word !== '')
+  .map(word => word.toLowerCase())
+
+
+/**
+ * createdAt gives created_at
+ */
+function snakeCase (name) {
+  return splitWords(name).join('_')
+}
+
+/**
+ * createdAt gives created-at
+ */
+function kebabCase (name) {
+  return splitWords(name).join('-')
+}
+
+
+const keyCases = {
+  snake: snakeCase,
+  kebab: kebabCase
+}
+
+/**
+ * Get the function giving the API key of a fieldname
+ * @param {string, function} option - 'snake', 'kebab' or (fieldname) => apiKey
+ * @return {function} null to keep the fieldnames
+ */
+function resolveKeyCase (option) {
+  if (!option) {
+    return null
+  }
+
+  if (isFunction(option)) {
+    return option
+  }
+
+  if (!keyCases[option]) {
+    throw new Error(`[Modelize][Config] unknown keyCase '${option}'`)
+  }
+
+  return keyCases[option]
+}
+
+
+export {
+  snakeCase,
+  kebabCase,
+  resolveKeyCase
+}
@@ -0,0 +1,112 @@
+import {
+  has,
+  isFunction
+} from './utils/validation.js'
+
+
+/**
+ * Default catalog of validation messages by locale
+ * Messages can be strings with {param} placeholders or functions (params) => string
+ */
+const defaultMessages = {
+  en: {
+    blank: 'This field is required',
+    type: 'This value is not valid',
+    custom: 'This value is not valid',
+    min: 'This value must be greater than or equal to {min}',
+    max: 'This value must be less than or equal to {max}',
+    minLength: 'This value must contain at least {minLength} characters',
+    maxLength: 'This value must contain at most {maxLength} characters',
+    pattern: 'This value has an invalid format',
+    oneOf: 'This value must be one of: {oneOf}',
+    requiredIf: 'This field is required',
+    equalsField: 'This value must match {equalsField}',
+    afterField: 'This value must be after {afterField}',
+    beforeField: 'This value must be before {beforeField}',
+    async: 'This value is not available',
+    notFound: 'This field does not exist',
+    syntax: 'This validation rule is malformed'
+  },
+  fr: {
+    blank: 'Ce champ est obligatoire',
+    type: 'Cette valeur n\'est pas valide',
+    custom: 'Cette valeur n\'est pas valide',
+    min: 'Cette valeur doit être supérieure ou égale à {min}',
+    max: 'Cette valeur doit être inférieure ou égale à {max}',
+    minLength: 'Cette valeur doit contenir au moins {minLength} caractères',
+    maxLength: 'Cette valeur doit contenir au plus {maxLength} caractères',
+    pattern: 'Le format de cette valeur n\'est pas valide',
+    oneOf: 'Cette valeur doit être parmi : {oneOf}',
+    requiredIf: 'Ce champ est obligatoire',
+    equalsField: 'Cette valeur doit correspondre à {equalsField}',
+    afterField: 'Cette valeur doit être postérieure à {afterField}',
+    beforeField: 'Cette valeur doit être antérieure à {beforeField}',
+    async: 'Cette valeur n\'est pas disponible',
+    notFound: 'Ce champ n\'existe pas',
+    syntax: 'Cette règle de validation est mal formée'
+  }
+}
+
+
+/**
+ * Merge user defined catalogs with the default ones
+ * @param {object} messages - catalogs by locale
+ */
+function mergeMessages (messages = {}) {
+  const merged = {}
+
+  for (const locale of new Set([...Object.keys(defaultMessages), ...Object.keys(messages)])) {
+    merged[locale] = Object.assign({}, defaultMessages[locale], messages[locale])
+  }
+
+  return merged
+}
+
+
+/**
+ * Resolve a message with its params
+ * @param {string, function} message
+ * @param {object} params
+ */
+function formatMessage (message, params = {}) {
+  if (isFunction(message)) {
+    return message(params)
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    has(params, name)
+      ? String(params[name])
+      : placeholder
+  ))
+}
+
+
+/**
+ * Find the message of an error code in a catalog
+ * Fallback on english, then on the code itself
+ * @param {object, function} catalog - catalogs by locale or function (code, params, locale) => string
+ * @param {string} locale
+ * @param {string} code
+ * @param {object} params
+ */
+function translate (catalog, locale, code, params = {}) {
+  if (isFunction(catalog)) {
+    return catalog(code, params, locale)
+  }
+
+  for (const candidate of [locale, 'en']) {
+    if (has(catalog, candidate) && has(catalog[candidate], code)) {
+      return formatMessage(catalog[candidate][code], params)
+    }
+  }
+
+  return code
+}
+
+
+export {
+  defaultMessages,
+  mergeMessages,
+  formatMessage,
+  translate
+}
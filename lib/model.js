@@ -6,6 +6,103 @@ import {
   isString,
   isDate
 } from './utils/validation.js'
+import { isPlainObject, cloneDeep, isEqual, parsePath, getPath } from './utils/object.js'
+import { emit } from './utils/events.js'
+import { fetchAdapter } from './adapters.js'
+import { parseServerErrors } from './server-errors.js'
+import { mergeMessages, formatMessage, translate } from './messages.js'
+import { validationRules, resolveRuleParam } from './rules.js'
+import { bearer, normalizeAuth } from './auth.js'
+import ResponseCache, { isUnderUrl } from './cache.js'
+import IdentityMap from './identity-map.js'
+import OfflineQueue from './offline.js'
+import { resolvePagination } from './pagination.js'
+import { resolveSerializer } from './serializers.js'
+import { resolveKeyCase } from './key-case.js'
+import {
+  defaultRequestSettings,
+  mergeRequestSettings,
+  isRetryable,
+  retryDelay,
+  sleep
+} from './retry.js'
+
+
+// Helpers
+const callOptionsOf = (options) => ({
+  signal: options.signal,
+  timeout: options.timeout,
+  retries: options.retries,
+  retryOn: options.retryOn,
+  retryMethods: options.retryMethods,
+  backoff: options.backoff,
+  optimistic: options.optimistic
+})
+
+// Cancellation controller, a minimal one where AbortController is not available
+const abortControllerOf = () => {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController()
+  }
+
+  let listeners = []
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => {
+      listeners.push(listener)
+    },
+    removeEventListener: (type, listener) => {
+      listeners = listeners.filter(item => item !== listener)
+    }
+  }
+
+  return {
+    signal: signal,
+    abort: () => {
+      if (!signal.aborted) {
+        signal.aborted = true
+        listeners.splice(0).forEach(listener => listener())
+      }
+    }
+  }
+}
+
+// Client errors refusing a write for good, auth and throttling errors can succeed later
+const isRefusal = (response) => Boolean(
+  response &&
+  response.status >= 400 &&
+  response.status < 500 &&
+  ![401, 403, 408, 429].includes(response.status)
+)
+
+// Response reader: a function, or key paths completed with the collection pattern
+const responseReaderOf = (option, collectionPattern) => {
+  if (isFunction(option)) {
+    return option
+  }
+
+  return Object.assign({
+    item: null,
+    collection: collectionPattern.data,
+    count: collectionPattern.count,
+    countHeader: null,
+    meta: null
+  }, option)
+}
+
+// Lifecycle hooks of the instances
+const hookNames = ['afterBuild', 'beforeValidate', 'beforeSave', 'afterFetch', 'afterSave']
+
+const requestStateOf = (method) => {
+  switch (method) {
+    case 'GET':
+      return 'fetch'
+    case 'DELETE':
+      return 'delete'
+    default:
+      return 'save'
+  }
+}
 
 
 class Model {
@@ -14,11 +111,33 @@ class Model {
 
     this.endpoint = ''
     this.requireAuth = false
+    this.authToken = null
+    this.auth = null
     this.collectionKey = 'list'
     this.collectionPattern = {
       count: 'count',
       data: 'rows'
     }
+    this.adapter = fetchAdapter
+    this.pagination = resolvePagination(options.pagination)
+    this.requestSettings = mergeRequestSettings(defaultRequestSettings, options)
+    this.responseCache = new ResponseCache(options.cacheSize)
+    this.cache = null
+    this.interceptors = {
+      request: [],
+      response: []
+    }
+    this.serverErrors = {
+      statuses: [400, 422],
+      parse: parseServerErrors
+    }
+    // Shared object: the locale can be switched at runtime for every model
+    this.i18n = {
+      locale: options.locale || 'en',
+      messages: isFunction(options.messages)
+        ? options.messages
+        : mergeMessages(options.messages)
+    }
 
     if (options.baseUrl) {
       this.baseUrl = options.baseUrl
@@ -31,10 +150,23 @@ class Model {
     }
     if (options.authToken) {
       this.authToken = options.authToken
+      this.auth = bearer(options.authToken)
     }
-    if (this.requireAuth && !this.authToken) {
-      throw new Error(`[Modelize][Config] authToken is required if requireAuth is enabled`)
+    // Auth strategy enables the auth unless requireAuth is explicitly disabled
+    if (options.auth) {
+      this.auth = normalizeAuth(options.auth)
+      this.requireAuth = options.requireAuth !== false
     }
+    if (this.requireAuth && !this.auth) {
+      throw new Error(`[Modelize][Config] authToken or auth is required if requireAuth is enabled`)
+    }
+
+    // Shared auth session: a refresh pauses the requests of every model
+    this.session = {
+      version: 0,
+      refreshing: null
+    }
+    this.refreshToken = options.refreshToken || null
 
     if (
       options.collectionPattern &&
@@ -43,6 +175,46 @@ class Model {
     ) {
       this.collectionPattern = options.collectionPattern
     }
+
+    // Where to find the data, the total count and the meta payload in a response
+    this.responseReader = responseReaderOf(options.response, this.collectionPattern)
+
+    // API format other than plain JSON (e.g. 'jsonapi')
+    this.serializer = resolveSerializer(options.serializer)
+
+    // Casing of the API keys: 'snake', 'kebab' or (fieldname) => apiKey
+    this.keyCase = resolveKeyCase(options.keyCase)
+
+    if (options.adapter) {
+      this.adapter = options.adapter
+    }
+
+    if (options.interceptors) {
+      this.interceptors = Object.assign({}, this.interceptors, options.interceptors)
+    }
+
+    if (options.serverErrors) {
+      this.serverErrors = Object.assign({}, this.serverErrors, options.serverErrors)
+    }
+
+    // Shared queue of the writes made while offline: { store, isOnline, onConflict }
+    this.offlineQueue = options.offline
+      ? new OfflineQueue(options.offline)
+      : null
+
+    // Replay once back online, a single listener per connection even if config() is called again
+    if (this.offlineQueue && typeof window !== 'undefined' && !has(this, 'replayOnOnline')) {
+      this.replayOnOnline = () => this.offlineQueue && this.replayQueue()
+      window.addEventListener('online', this.replayOnOnline)
+    }
+  }
+
+  /**
+   * Switch the locale of validation messages
+   * @param {string} locale
+   */
+  static setLocale (locale) {
+    this.i18n.locale = locale
   }
 
   static init (schema, options = {}) {
@@ -62,14 +234,101 @@ class Model {
     }
     if ('authToken' in options) {
       this.authToken = options.authToken
+      this.auth = normalizeAuth(options.authToken && bearer(options.authToken))
+    }
+    // Override global auth strategy
+    if ('auth' in options) {
+      this.auth = normalizeAuth(options.auth)
+
+      if (!('requireAuth' in options)) {
+        this.requireAuth = this.auth !== null
+      }
+    }
+    if (this.requireAuth && !this.auth) {
+      throw new Error(`[Modelize][Init] authToken or auth is required if requireAuth is enabled`)
+    }
+
+    // Override global timeout and retry settings
+    this.requestSettings = mergeRequestSettings(this.requestSettings, options)
+
+    // Canonical instances by primary key: { max } instances kept
+    this.identityMap = options.identityMap
+      ? new IdentityMap(options.identityMap === true ? undefined : options.identityMap.max)
+      : null
+
+    // Cache of GET responses: { ttl } in ms, stale responses are revalidated in the background
+    this.cache = options.cache
+      ? Object.assign({ ttl: 60000 }, options.cache === true ? {} : options.cache)
+      : null
+
+    // Override global adapter
+    if ('adapter' in options) {
+      this.adapter = options.adapter
+    }
+
+    // Override global response reader
+    if ('response' in options) {
+      this.responseReader = responseReaderOf(options.response, this.collectionPattern)
+    }
+
+    // Override global key casing
+    if ('keyCase' in options) {
+      this.keyCase = resolveKeyCase(options.keyCase)
+    }
+
+    // Override global serializer
+    if ('serializer' in options) {
+      this.serializer = resolveSerializer(options.serializer)
+    }
+
+    // Override global pagination strategy
+    if ('pagination' in options) {
+      this.pagination = resolvePagination(options.pagination)
+    }
+
+    // Override global interceptors chains
+    if ('interceptors' in options) {
+      this.interceptors = Object.assign({}, this.interceptors, options.interceptors)
+    }
+
+    // Override global server errors parsing
+    if ('serverErrors' in options) {
+      this.serverErrors = Object.assign({}, this.serverErrors, options.serverErrors)
+    }
+
+    // Queued writes are replayed by the model of their endpoint
+    if (this.offlineQueue && this.endpoint) {
+      this.offlineQueue.register(this)
+    }
+
+    // Computed fields are getters of the instances, the other fields are data
+    this.schema = {}
+    this.computedFields = {}
+
+    for (const fieldname in schema) {
+      if (isFunction(schema[fieldname].computed)) {
+        this.computedFields[fieldname] = schema[fieldname].computed
+      } else {
+        this.schema[fieldname] = schema[fieldname]
+      }
     }
-    if (this.requireAuth && !this.authToken) {
-      throw new Error(`[Modelize][Init] authToken is required if requireAuth is enabled`)
+
+    for (const fieldname in this.computedFields) {
+      const compute = this.computedFields[fieldname]
+
+      Object.defineProperty(this.prototype, fieldname, {
+        get () {
+          return compute(this)
+        },
+        configurable: true
+      })
     }
 
     // Parse schema fields to set default values for each option
-    this.schema = schema
     this.primaryKeyFieldname = null
+    this.versionFieldname = null
+    this.apiKeys = {}
+    this.fieldnamesByApiKey = {}
 
     for (const fieldname in this.schema) {
       const fieldconf = this.schema[fieldname]
@@ -84,6 +343,17 @@ class Model {
         this.primaryKeyFieldname = fieldname
       }
 
+      // Set the version field, sent as If-Match when the server sends no ETag
+      if (fieldconf.version) {
+        this.versionFieldname = fieldname
+      }
+
+      // Key of the field in the API data
+      const apiKey = fieldconf.apiName || (this.keyCase ? this.keyCase(fieldname) : fieldname)
+
+      this.apiKeys[fieldname] = apiKey
+      this.fieldnamesByApiKey[apiKey] = fieldname
+
       // Define the default value
       const defaultValue = 'defaultValue' in fieldconf
         ? fieldconf.defaultValue
@@ -104,6 +374,38 @@ class Model {
         fieldconf.isValid = () => true
       }
 
+      // Field specific messages by error code
+      if (!('messages' in fieldconf)) {
+        fieldconf.messages = {}
+      }
+
+      // Async valid method (value, data, { signal }) => boolean | { code, params }
+      if (!('isValidAsync' in fieldconf)) {
+        fieldconf.isValidAsync = null
+      }
+      if (!('asyncDebounce' in fieldconf)) {
+        fieldconf.asyncDebounce = 0
+      }
+
+      // Declarative validation rules
+      if (!('validate' in fieldconf)) {
+        fieldconf.validate = {}
+      }
+      for (const rule in fieldconf.validate) {
+        if (rule !== 'requiredIf' && !has(validationRules, rule)) {
+          throw new Error(`[Modelize][Init] Unknown validation rule '${rule}' on field '${fieldname}'`)
+        }
+      }
+
+      // Fields never saved (virtual, readOnly) or never received (writeOnly)
+      fieldconf.virtual = fieldconf.virtual || false
+      fieldconf.readOnly = fieldconf.readOnly || false
+      fieldconf.writeOnly = fieldconf.writeOnly || false
+
+      if (fieldconf.readOnly && fieldconf.writeOnly) {
+        throw new Error(`[Modelize][Init] field '${fieldname}' can't be both readOnly and writeOnly`)
+      }
+
       // Require validation as a default except for primary key and timestamp fields
       fieldconf.bypassValidation = fieldconf.primaryKey || ['createdAt', 'updatedAt'].includes(fieldname) || false
     }
@@ -112,6 +414,18 @@ class Model {
       throw new Error(`[Modelize][Model] Required property 'primaryKey' not found in the schema`, schema)
     }
 
+    // Named fieldlists to validate
+    this.validationGroups = options.validationGroups || {}
+
+    // Lifecycle hooks (instance, ...args) => any, class methods of the same name are called first
+    this.hooks = options.hooks || {}
+
+    for (const name in this.hooks) {
+      if (!hookNames.includes(name)) {
+        throw new Error(`[Modelize][Init] Unknown hook '${name}'`)
+      }
+    }
+
     return this
   }
 
@@ -120,7 +434,12 @@ class Model {
   * Fetch helpers
   *****************************************************************/
 
-  static _buildRequestUrl ({ pk, action, params }) {
+  static _buildRequestUrl ({ pk, action, params, url }) {
+    // Full url given by the server (e.g. link of the next page)
+    if (url) {
+      return url
+    }
+
     let requestUrl = this.requestUrl
 
     if (pk) {
@@ -129,7 +448,15 @@ class Model {
     if (action) {
       requestUrl += `/${action}`
     }
+    // Params in the format of the API
     if (params) {
+      params = this._paramsToApi(params)
+    }
+    if (params && this.serializer) {
+      params = this.serializer.params(params)
+    }
+
+    if (params && Object.keys(params).length > 0) {
       requestUrl += `?${
         Object.entries(params)
           .map(([key, value]) => {
@@ -145,557 +472,2290 @@ class Model {
     return requestUrl
   }
 
-  static async _buildRequestInit (data, method, signal = null) {
+  static async _buildRequestInit (data, method, signal = null, body = undefined) {
     const requestInit = {
       method: method,
-      mode: 'cors',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': this.serializer ? this.serializer.contentType : 'application/json'
       },
       signal: signal
     }
 
-    // Set Authorization header for private api
-    if (this.requireAuth) {
-      const token = await this.authToken()
+    // Optimistic concurrency: the write is refused if the item changed on the server
+    if (['PUT', 'PATCH', 'DELETE'].includes(method) && !data.isCollection()) {
+      const ifMatch = data._ifMatch()
 
-      if (!token) {
-        throw new Error(`[Modelize][Fetch] Impossible to get the auth token to access ${this.requestUrl}`)
+      if (ifMatch) {
+        requestInit.headers['If-Match'] = ifMatch
       }
-
-      requestInit.headers['Authorization'] = `Bearer ${token}`
     }
 
     if (['POST', 'PUT', 'PATCH'].includes(method)) {
-      // Extract validated data only
-      requestInit.body = data.toJSON()
+      // Body built by fetch(), or the validated data
+      // Note: serialization is up to the adapter
+      requestInit.body = body === undefined
+        ? data._payload(method)
+        : body
+
+      if (this.serializer) {
+        requestInit.body = this.serializer.write(requestInit.body, {
+          model: this,
+          method: method,
+          instance: data
+        })
+      }
     }
 
     return requestInit
   }
 
-  static _hasMatchedCollectionPattern (serverData) {
-    return (
-      has(serverData, this.collectionPattern.count) &&
-      has(serverData, this.collectionPattern.data)
+  /**
+   * Build the request given to the transport adapter
+   * @return {object} { url, method, headers, body, signal }
+   */
+  static async _buildRequest (data, options, signal = null) {
+    // A queued write is replayed as it was built
+    if (options.queued) {
+      return Object.assign({}, options.queued.request, {
+        headers: Object.assign({}, options.queued.request.headers),
+        signal: signal
+      })
+    }
+
+    return Object.assign(
+      { url: this._buildRequestUrl(options) },
+      await this._buildRequestInit(data, options.method, signal, options.body)
     )
   }
 
+  /**
+   * Pass the request or the response through the interceptors chain
+   * An interceptor can mutate or replace the payload, it returns nothing to keep it
+   * A request interceptor can return a response ({ status, headers, data }) to skip the api call
+   * @param {string} type - 'request' or 'response'
+   * @param {object} payload - request or response
+   * @param {object} context - { model, instance, options }
+   * @return {object} the payload, or a response if a request interceptor short-circuited
+   */
+  static async _intercept (type, payload, context) {
+    for (const interceptor of this.interceptors[type] || []) {
+      const result = await interceptor(payload, context)
 
-  /*****************************************************************
-  * Format data before use in front
-  *****************************************************************/
-
-  static _buildRawItem (item = {}) {
-    const rawItem = {}
-
-    const primaryKey = item['primaryKey'] || item[this.primaryKeyFieldname] || this.schema[this.primaryKeyFieldname].defaultValue()
-
-    // Build the item with default values
-    for (const fieldname in this.schema) {
-      if (fieldname === this.primaryKeyFieldname) {
-        rawItem[fieldname] = primaryKey
-      } else if (has(item, fieldname)) {
-        rawItem[fieldname] = item[fieldname]
-      } else {
-        rawItem[fieldname] = this.schema[fieldname].defaultValue(primaryKey) // primaryKey params is necessary for HASONE datatype
+      if (result) {
+        payload = result
+      }
+      if (type === 'request' && has(payload, 'status')) {
+        break
       }
     }
 
-    return rawItem
+    return payload
+  }
+
+  /**
+   * Wait for the auth session refresh in progress
+   */
+  static _sessionReady () {
+    return this.session.refreshing || Promise.resolve()
   }
 
+  /**
+   * Refresh the auth token after a 401 response
+   * Concurrent calls share the same refresh
+   * @param {integer} sessionVersion - version of the session when the request was sent
+   * @return {Promise<boolean>} true if the request can be replayed
+   * @event ModelizeSessionExpired emitted if the refresh failed
+   */
+  static _refreshSession (sessionVersion) {
+    const session = this.session
 
-  static _buildValidator () {
-    const validator = {}
+    if (!this.requireAuth || !this.refreshToken) {
+      return Promise.resolve(false)
+    }
 
-    // Build the base validator
-    for (const fieldname in this.schema) {
-      const fieldconf = this.schema[fieldname]
+    // The token has already been refreshed since the request was sent
+    if (session.version !== sessionVersion) {
+      return Promise.resolve(true)
+    }
 
-      validator[fieldname] = {
-        checked: fieldconf.bypassValidation,
-        isValid: (value, data) => {
-          const isBlank = fieldconf.type.isBlank(value)
-
-          return (
-            (
-              // Blank and allowed
-              (isBlank && fieldconf.allowBlank) ||
-              // Not blank and valid
-              (!isBlank && fieldconf.type.isValid(value))
-            ) &&
-            // Custom valid method
-            fieldconf.isValid(value, data)
-          )
-        }
-      }
+    if (!session.refreshing) {
+      session.refreshing = Promise.resolve()
+        .then(() => this.refreshToken())
+        .then(result => result !== false, () => false)
+        .then(isRefreshed => {
+          session.refreshing = null
+
+          if (isRefreshed) {
+            session.version = session.version + 1
+          } else {
+            emit('ModelizeSessionExpired', { model: this })
+          }
+
+          return isRefreshed
+        })
     }
 
-    return validator
+    return session.refreshing
   }
 
+  /**
+   * Get the timeout and retry settings of a request
+   * @param {object} options - call level settings
+   */
+  static _requestSettings (options = {}) {
+    return mergeRequestSettings(this.requestSettings, options)
+  }
 
-  constructor (data, options = {}) {
-    options = Object.assign({
-      isNew: true,
-      isCustom: false
-    }, options)
+  /**
+   * Send the writes queued while offline, in order
+   * Called when the browser is back online, or manually (e.g. for the writes of a previous session once the models are initialized)
+   * @return {integer} number of writes still queued
+   */
+  static replayQueue () {
+    const offlineQueue = this.offlineQueue
 
-    // Format an item
-    if (isObject(data)) {
-      // Build a raw item if it's a new instance
-      if (options.isNew && !options.isCustom) {
-        data = this.constructor._buildRawItem(data)
-      }
+    if (!offlineQueue) {
+      throw new Error(`[Modelize][Offline] offline option is required to replay the queue`)
+    }
 
-      // Add modelize specific params
-      this.$modelize = {
-        isNew: options.isNew,
-        isCustom: options.isCustom,
-        validator: this.constructor._buildValidator(),
-        states: {
-          fetchInProgress: false,
-          fetchSuccessOnce: false,
-          fetchSuccess: false,
-          fetchFailure: false,
-          saveInProgress: false,
-          saveSuccess: false,
-          saveFailure: false
-        },
-        originalData: Object.freeze(data) // freeze to skip reactivity
+    return offlineQueue.replay(async (entry, instance) => {
+      const QueuedModel = offlineQueue.models.get(entry.endpoint)
+
+      // The model is not initialized yet
+      if (!QueuedModel) {
+        return 'keep'
       }
 
-      // Format recursively existing fields only
-      for (const fieldname in data) {
-        const value = data[fieldname]
-        // Try to format the value
-        this[fieldname] = has(this.constructor.schema, fieldname)
-          ? this.constructor.schema[fieldname].type.beforeBuild(value, options)
-          : value
+      const state = requestStateOf(entry.options.method)
+      const target = instance || new QueuedModel({}, { isNew: entry.options.method === 'POST' })
+
+      target.$modelize.states[`${state}Queued`] = true
+
+      await target.fetch(Object.assign({}, entry.options, { queued: entry }))
+
+      // Still offline or cancelled
+      if (target.$modelize.states[`${state}Queued`]) {
+        return 'keep'
       }
-    // Format a collection of items
-    } else if (isArray(data)) {
-      // Add modelize specific params
-      this.$modelize = {
-        isCustom: options.isCustom,
-        count: 0,
-        states: {
-          fetchInProgress: false,
-          fetchSuccessOnce: false,
-          fetchSuccess: false,
-          fetchFailure: false
-        }
+      if (target.$modelize.states[`${state}Success`]) {
+        return 'done'
       }
 
-      // Add items to the list
-      this.setCollection([])
+      // The write failed: 'retry' keeps it first in the queue for the next replay
+      // By default, only writes refused by a client error (409, 412, 422...) are discarded
+      const response = target.$modelize.failure.response
+      const decision = offlineQueue.onConflict
+        ? await offlineQueue.onConflict({ entry, instance: target, response })
+        : (isRefusal(response) ? 'discard' : 'retry')
 
-      for (const item of data) {
-        this.add(item, options)
-      }
+      if (decision === 'retry') {
+        target.$modelize.states[`${state}Queued`] = true
 
-      // Update the count with the grand total
-      // Note: must be after .add() processing
-      if (has(options, 'count')) {
-        this.$modelize.count = options.count
+        return 'keep'
       }
-    }
 
-    return this
+      return 'discard'
+    })
   }
 
   /**
-   * Get fetch state
+   * Remove cached responses
+   * @param {string, RegExp, function} pattern - url prefix, regexp or function (url, entry) => boolean
+   *  (default: every response of the model)
    */
+  static invalidate (pattern = this.requestUrl || '') {
+    this.responseCache.invalidate(pattern)
+  }
 
-  get isNew () {
-    return this.$modelize.isNew
+  /**
+   * Remove the cached collections of the model and the cached responses of the written item
+   * @param {object} options - fetch options of the write
+   */
+  static _invalidateAfterWrite (options) {
+    const itemUrl = options.pk
+      ? this._buildRequestUrl({ pk: options.pk })
+      : null
+
+    this.responseCache.invalidate((key, entry) => (
+      isUnderUrl(key, this.requestUrl) &&
+      (entry.collection || (itemUrl !== null && isUnderUrl(key, itemUrl)))
+    ))
   }
 
   /**
-   * Get fetch state
+   * Get the canonical instance of a record, the data of the given instance is merged into it
+   * New, custom and collection instances are never shared
+   * @param {object} instance
+   * @return {object} canonical instance
    */
+  static _identify (instance) {
+    if (
+      !this.identityMap ||
+      instance.$modelize.isNew ||
+      instance.$modelize.isCustom ||
+      instance.isCollection()
+    ) {
+      return instance
+    }
 
-  get fetchInProgress () {
-    return this.$modelize.states.fetchInProgress
-  }
+    const primaryKey = instance[this.primaryKeyFieldname]
 
-  get fetchSuccessOnce () {
-    return this.$modelize.states.fetchSuccessOnce
-  }
+    if (!primaryKey) {
+      return instance
+    }
 
-  get fetchSuccess () {
-    return this.$modelize.states.fetchSuccess
-  }
+    const canonical = this.identityMap.get(primaryKey)
 
-  get fetchFailure () {
-    return this.$modelize.states.fetchFailure
+    if (canonical && canonical !== instance) {
+      canonical._mutateData(instance)
+      return canonical
+    }
+
+    this.identityMap.set(primaryKey, instance)
+
+    return instance
   }
 
   /**
-   * Get save state
+   * Register an instance as the canonical one of a record if there is none yet
+   * Done before the associations of a response are built: back references get the instance itself
+   * @param {object} instance
+   * @param {object} data - data of the record
    */
+  static _claim (instance, data) {
+    if (!this.identityMap || instance.$modelize.isCustom || !isObject(data)) {
+      return
+    }
 
-  get saveInProgress () {
-    return this.$modelize.states.saveInProgress
-  }
+    const primaryKey = this._primaryKeyOf(data)
 
-  get saveSuccess () {
-    return this.$modelize.states.saveSuccess
+    if (primaryKey && !this.identityMap.get(primaryKey)) {
+      this.identityMap.set(primaryKey, instance)
+    }
   }
 
-  get saveFailure () {
-    return this.$modelize.states.saveFailure
+  /**
+   * Remove an instance or every instance from the identity map
+   * @param {*} primaryKey - optional
+   */
+  static evict (primaryKey) {
+    if (this.identityMap) {
+      this.identityMap.evict(primaryKey)
+    }
   }
 
   /**
-   * Update the current model instance with new data
-   * @param {object}
-   * @return {integer}
+   * Get the hooks of a lifecycle event: the class method, then the hook of the init options
+   * @param {string} name - name of the hook
+   * @return {array} functions (instance, ...args) => any
    */
-  _mutateData (newData) {
-    if (newData.isCollection()) {
-      // Refresh item count
+  static _hooksOf (name) {
+    const hooks = []
+
+    if (isFunction(this.prototype[name])) {
+      hooks.push((instance, ...args) => instance[name](...args))
+    }
+    if (this.hooks && isFunction(this.hooks[name])) {
+      hooks.push(this.hooks[name])
+    }
+
+    return hooks
+  }
+
+  /**
+   * Get the API key of a field
+   * @param {string} fieldname
+   */
+  static _apiKeyOf (fieldname) {
+    return has(this.apiKeys, fieldname) ? this.apiKeys[fieldname] : fieldname
+  }
+
+  /**
+   * Get the field of an API key
+   * @param {string} apiKey
+   */
+  static _fieldnameOf (apiKey) {
+    return has(this.fieldnamesByApiKey, apiKey) ? this.fieldnamesByApiKey[apiKey] : apiKey
+  }
+
+  /**
+   * Rename the API keys of raw data to fieldnames, recursively through associations
+   * Virtual, write-only and computed fields are dropped
+   * @param {object} data - raw item from the API
+   */
+  static _fromApi (data) {
+    if (!isPlainObject(data)) {
+      return data
+    }
+
+    const item = {}
+
+    for (const apiKey in data) {
+      const fieldname = this._fieldnameOf(apiKey)
+      const fieldconf = this.schema[fieldname]
+      const value = data[apiKey]
+
+      // Virtual and write-only fields are not received, computed fields are computed locally
+      if ((fieldconf && (fieldconf.virtual || fieldconf.writeOnly)) || has(this.computedFields, fieldname)) {
+        continue
+      }
+
+      item[fieldname] = fieldconf && fieldconf.type.association
+        ? (isArray(value) ? value.map(raw => fieldconf.type.model._fromApi(raw)) : fieldconf.type.model._fromApi(value))
+        : value
+    }
+
+    return item
+  }
+
+  /**
+   * Rename the fieldnames of query params to API keys, nested params included (e.g. filter[])
+   * @param {object} params
+   */
+  static _paramsToApi (params) {
+    const apiParams = {}
+
+    for (const key in params) {
+      apiParams[this._apiKeyOf(key)] = isPlainObject(params[key])
+        ? this._paramsToApi(params[key])
+        : params[key]
+    }
+
+    return apiParams
+  }
+
+  /**
+   * Extract the data, the total count and the meta payload of a response
+   * @param {object} response - { status, headers, data }
+   * @param {boolean} collection - the response is expected to hold a list of items
+   * @return {object} { data, count, meta }, count and meta are null if missing
+   */
+  static _readResponse (response, collection) {
+    const reader = this.responseReader
+    const body = response.data
+
+    if (this.serializer) {
+      return this.serializer.read(response, { model: this, collection })
+    }
+
+    if (isFunction(reader)) {
+      return Object.assign({ data: body, count: null, meta: null }, reader(response, { collection }))
+    }
+
+    let data = body
+    let count = null
+
+    if (collection) {
+      const items = reader.collection ? getPath(body, reader.collection) : undefined
+
+      // Bare array otherwise
+      if (isArray(items)) {
+        data = items
+      }
+    } else if (reader.item) {
+      const item = getPath(body, reader.item)
+
+      if (item !== undefined) {
+        data = item
+      }
+    }
+
+    const bodyCount = reader.count ? getPath(body, reader.count) : undefined
+    const headerCount = reader.countHeader && response.headers
+      ? response.headers[reader.countHeader.toLowerCase()]
+      : undefined
+
+    if (bodyCount !== undefined && bodyCount !== null) {
+      count = Number(bodyCount)
+    } else if (headerCount !== undefined && headerCount !== null && headerCount !== '') {
+      count = Number(headerCount)
+    }
+
+    const meta = reader.meta ? getPath(body, reader.meta) : undefined
+
+    return {
+      data: data,
+      count: count,
+      meta: meta === undefined ? null : meta
+    }
+  }
+
+
+  /*****************************************************************
+  * Format data before use in front
+  *****************************************************************/
+
+  /**
+   * Copy data to track changes, write-only fields are never known by the server
+   * @param {object} data
+   */
+  static _baseOf (data) {
+    const base = cloneDeep(data)
+
+    for (const fieldname in this.schema) {
+      if (this.schema[fieldname].writeOnly) {
+        delete base[fieldname]
+      }
+    }
+
+    return base
+  }
+
+  static _buildRawItem (item = {}) {
+    const rawItem = {}
+
+    const primaryKey = item['primaryKey'] || item[this.primaryKeyFieldname] || this.schema[this.primaryKeyFieldname].defaultValue()
+
+    // Build the item with default values
+    for (const fieldname in this.schema) {
+      if (fieldname === this.primaryKeyFieldname) {
+        rawItem[fieldname] = primaryKey
+      } else if (has(item, fieldname)) {
+        rawItem[fieldname] = item[fieldname]
+      } else {
+        rawItem[fieldname] = this.schema[fieldname].defaultValue(primaryKey) // primaryKey params is necessary for HASONE datatype
+      }
+    }
+
+    return rawItem
+  }
+
+
+  /**
+   * Check the condition of the requiredIf rule
+   * @param {string, function} condition - fieldname which must not be blank or function (data) => boolean
+   * @param {object} data
+   */
+  static _isRequired (condition, data) {
+    if (isFunction(condition)) {
+      return Boolean(condition(data))
+    }
+
+    return (
+      has(this.schema, condition) &&
+      has(data, condition) &&
+      !this.schema[condition].type.isBlank(data[condition])
+    )
+  }
+
+  static _buildValidator () {
+    const validator = {}
+
+    // Build the base validator
+    for (const fieldname in this.schema) {
+      const fieldconf = this.schema[fieldname]
+
+      // Get the first failed check as { code, params }, null if the value is valid
+      const validate = (value, data) => {
+        const isBlank = fieldconf.type.isBlank(value)
+
+        if (isBlank) {
+          // Blank and conditionally required
+          if ('requiredIf' in fieldconf.validate) {
+            if (this._isRequired(fieldconf.validate.requiredIf, data)) {
+              return { code: 'requiredIf', params: { requiredIf: fieldconf.validate.requiredIf } }
+            }
+          // Blank and not allowed
+          } else if (!fieldconf.allowBlank) {
+            return { code: 'blank', params: {} }
+          }
+        } else {
+          // Not blank and not valid
+          if (!fieldconf.type.isValid(value)) {
+            return { code: 'type', params: {} }
+          }
+          // Declarative rules
+          for (const rule in fieldconf.validate) {
+            if (rule !== 'requiredIf') {
+              const param = resolveRuleParam(rule, fieldconf.validate[rule], data)
+
+              if (!validationRules[rule](value, param, data)) {
+                return { code: rule, params: { [rule]: param } }
+              }
+            }
+          }
+        }
+        // Custom valid method
+        if (!fieldconf.isValid(value, data)) {
+          return { code: 'custom', params: {} }
+        }
+
+        return null
+      }
+
+      validator[fieldname] = {
+        checked: fieldconf.bypassValidation,
+        serverError: null,
+        asyncError: null,
+        asyncCheck: null,
+        pending: false,
+        validate: validate,
+        isValid: (value, data) => validate(value, data) === null
+      }
+    }
+
+    return validator
+  }
+
+
+  constructor (data, options = {}) {
+    options = Object.assign({
+      isNew: true,
+      isCustom: false
+    }, options)
+
+    // Format an item
+    if (isObject(data)) {
+      // Build a raw item if it's a new instance
+      if (options.isNew && !options.isCustom) {
+        data = this.constructor._buildRawItem(data)
+      }
+
+      // Add modelize specific params
+      this.$modelize = {
+        isNew: options.isNew,
+        isCustom: options.isCustom,
+        validator: this.constructor._buildValidator(),
+        states: {
+          fetchInProgress: false,
+          fetchSuccessOnce: false,
+          fetchSuccess: false,
+          fetchFailure: false,
+          fetchCancelled: false,
+          timedOut: false,
+          saveInProgress: false,
+          saveSuccess: false,
+          saveFailure: false,
+          saveCancelled: false,
+          deleteInProgress: false,
+          deleteSuccess: false,
+          deleteFailure: false,
+          saveQueued: false,
+          deleteQueued: false,
+          saveConflict: false,
+          deleteConflict: false
+        },
+        failure: null,
+        meta: null,
+        etag: null,
+        conflict: null,
+        isDeleted: false,
+        requests: new Set(),
+        latestFetch: null,
+        originalData: Object.freeze(this.constructor._baseOf(data)) // copy to track changes, freeze to skip reactivity
+      }
+
+      // Associations are always shared through the identity map
+      const fieldOptions = Object.assign({}, options, { skipIdentity: false })
+
+      // Format recursively existing fields only
+      for (const fieldname in data) {
+        // Computed fields can't be set
+        if (has(this.constructor.computedFields, fieldname)) {
+          continue
+        }
+
+        const value = data[fieldname]
+        // Try to format the value
+        this[fieldname] = has(this.constructor.schema, fieldname)
+          ? this.constructor.schema[fieldname].type.beforeBuild(value, fieldOptions)
+          : value
+      }
+
+      this._callHook('afterBuild', options)
+
+      // Reuse the canonical instance of the record
+      if (!options.skipIdentity) {
+        return this.constructor._identify(this)
+      }
+    // Format a collection of items
+    } else if (isArray(data)) {
+      // Add modelize specific params
+      this.$modelize = {
+        isCustom: options.isCustom,
+        count: 0,
+        states: {
+          fetchInProgress: false,
+          fetchSuccessOnce: false,
+          fetchSuccess: false,
+          fetchFailure: false,
+          fetchCancelled: false,
+          timedOut: false
+        },
+        failure: null,
+        meta: null,
+        pagination: null,
+        requests: new Set(),
+        latestFetch: null,
+        // Fetch which loaded the collection again (not getMore), older pages are not revalidated
+        collectionFetch: null
+      }
+
+      // Add items to the list
+      this.setCollection([])
+
+      for (const item of data) {
+        this.add(item, options)
+      }
+
+      // Update the count with the grand total
+      // Note: must be after .add() processing
+      if (has(options, 'count')) {
+        this.$modelize.count = options.count
+      }
+    }
+
+    return this
+  }
+
+  /**
+   * Get fetch state
+   */
+
+  get isNew () {
+    return this.$modelize.isNew
+  }
+
+  /**
+   * Get fetch state
+   */
+
+  get fetchInProgress () {
+    return this.$modelize.states.fetchInProgress
+  }
+
+  get fetchSuccessOnce () {
+    return this.$modelize.states.fetchSuccessOnce
+  }
+
+  get fetchSuccess () {
+    return this.$modelize.states.fetchSuccess
+  }
+
+  get fetchFailure () {
+    return this.$modelize.states.fetchFailure
+  }
+
+  get fetchCancelled () {
+    return this.$modelize.states.fetchCancelled
+  }
+
+  get timedOut () {
+    return this.$modelize.states.timedOut
+  }
+
+  /**
+   * Get save state
+   */
+
+  get saveInProgress () {
+    return this.$modelize.states.saveInProgress
+  }
+
+  get saveSuccess () {
+    return this.$modelize.states.saveSuccess
+  }
+
+  get saveFailure () {
+    return this.$modelize.states.saveFailure
+  }
+
+  get saveCancelled () {
+    return this.$modelize.states.saveCancelled
+  }
+
+  /**
+   * Get delete state
+   */
+
+  get deleteInProgress () {
+    return this.$modelize.states.deleteInProgress
+  }
+
+  get deleteSuccess () {
+    return this.$modelize.states.deleteSuccess
+  }
+
+  get deleteFailure () {
+    return this.$modelize.states.deleteFailure
+  }
+
+  get isDeleted () {
+    return this.$modelize.isDeleted
+  }
+
+  /**
+   * Get offline queue state
+   */
+
+  get saveQueued () {
+    return this.$modelize.states.saveQueued
+  }
+
+  get deleteQueued () {
+    return this.$modelize.states.deleteQueued
+  }
+
+  /**
+   * Get conflict state
+   */
+
+  get saveConflict () {
+    return this.$modelize.states.saveConflict
+  }
+
+  get deleteConflict () {
+    return this.$modelize.states.deleteConflict
+  }
+
+  /**
+   * Update the current model instance with new data
+   * @param {object}
+   * @return {integer}
+   */
+  _mutateData (newData) {
+    if (newData === this) {
+      return
+    }
+
+    if (newData.isCollection()) {
+      // Refresh item count
       this.$modelize.count = newData.$modelize.count
 
-      // Extend the list or just replace it
-      this.setCollection(
-        has(this.$modelize, 'fetch') && this.$modelize.fetch.options.extend
-          ? [...this.items(), ...newData.items()]
-          : newData.items()
-      )
-    } else {
-      for (const key in newData) {
-        if (has(newData, key)) {
-          const value = newData[key]
-          // Recursive mutation
-          if (value instanceof Model) {
-            this[key]._mutateData(value)
-          // Mutate only some keys
-          } else if (key === '$modelize') {
-            this[key].isNew = value.isNew
-            this[key].isCustom = value.isCustom
-            this[key].originalData = value.originalData
-          // Basic fields
-          } else {
-            this[key] = value
-          }
-        }
-      }
-    }
+      // Extend the list or just replace it
+      this.setCollection(
+        has(this.$modelize, 'fetch') && this.$modelize.fetch.options.extend
+          ? [...this.items(), ...newData.items()]
+          : newData.items()
+      )
+    } else {
+      for (const key in newData) {
+        if (has(newData, key)) {
+          const value = newData[key]
+          // Recursive mutation
+          // Note: canonical instances are replaced, not mutated with the data of another record
+          if (
+            value instanceof Model &&
+            this[key] instanceof Model &&
+            (value.isCollection() || !value.constructor.identityMap)
+          ) {
+            this[key]._mutateData(value)
+          } else if (value instanceof Model) {
+            this[key] = value
+          // Mutate only some keys
+          } else if (key === '$modelize') {
+            this[key].isNew = value.isNew
+            this[key].isCustom = value.isCustom
+            if (value.etag) {
+              this[key].etag = value.etag
+            }
+            // Merge to keep track of the fields missing from a partial response
+            this[key].originalData = Object.freeze(Object.assign({}, this[key].originalData, value.originalData))
+          // Basic fields
+          } else {
+            this[key] = value
+          }
+        }
+      }
+    }
+  }
+
+  toJSON () {
+    return JSON.stringify(this._beforeSave())
+  }
+
+  /**
+   * Format the data sent by a write, changed fields only for a partial update of an item
+   * @param {string} method - http method of the write
+   * @param {boolean} skipHook - the beforeSave hooks of the item have already been called
+   */
+  _payload (method, skipHook = false) {
+    if (this.isCollection()) {
+      return this._beforeSaveCollection()
+    }
+
+    return this._beforeSaveItem(method === 'PATCH' ? this.dirtyFields() : null, new Set(), { skipHook })
+  }
+
+  /**
+   * Build the body of a write once for every attempt, the beforeSave hooks of the item are awaited
+   * @param {object} options - fetch options
+   * @return {Promise<object, array>} data to send, null if a hook cancelled the save
+   */
+  async _buildBody (options) {
+    if (!(await this._runHook('beforeSave', options))) {
+      return null
+    }
+
+    return this._payload(options.method, true)
+  }
+
+  /**
+   * Format collections and objects to use in back
+   * @param {Set} visited - items being formatted, to stop on cycles
+   */
+  _beforeSave (visited = new Set()) {
+    if (this.isCollection()) {
+      return this._beforeSaveCollection(visited)
+    } else {
+      return this._beforeSaveItem(null, visited)
+    }
+  }
+
+  /**
+   * Format data recursively based on schema definition
+   * @param {Set} visited - items being formatted, to stop on cycles
+   */
+  _beforeSaveCollection (visited = new Set()) {
+    return this.items().map(item => item._beforeSaveItem(null, visited))
+  }
+
+  /**
+   * Format data recursively based on schema definition
+   * @param {array} fieldnames - optional restriction of the fields to format
+   * @param {Set} visited - items being formatted, a back reference is formatted as its primary key
+   * @param {object} options
+   *  - skipHook: the beforeSave hooks have already been called
+   */
+  _beforeSaveItem (fieldnames = null, visited = new Set(), { skipHook = false } = {}) {
+    const primaryKeyFieldname = this.constructor.primaryKeyFieldname
+
+    if (visited.has(this)) {
+      return { [this.constructor._apiKeyOf(primaryKeyFieldname)]: this[primaryKeyFieldname] }
+    }
+
+    // Changes made by the hooks are sent, async hooks are awaited by fetch() only
+    if (!skipHook) {
+      this._callHook('beforeSave')
+    }
+
+    const path = new Set(visited).add(this)
+    const newItem = {}
+
+    for (const fieldname in this.$modelize.validator) {
+      if (fieldnames && !fieldnames.includes(fieldname)) {
+        continue
+      }
+
+      const validator = this.$modelize.validator[fieldname]
+      const value = this[fieldname]
+
+      // Virtual and read-only fields are never sent
+      if (this.constructor.schema[fieldname].virtual || this.constructor.schema[fieldname].readOnly) {
+        continue
+      }
+
+      if (validator.checked && validator.isValid(value, this)) {
+        newItem[this.constructor._apiKeyOf(fieldname)] = this.constructor.schema[fieldname].type.beforeSave(value, path)
+      }
+    }
+
+    return newItem
+  }
+
+  /**
+   * Get the meta payload of the last response (items and collections)
+   * Not named meta() which is a common field name
+   */
+  responseMeta () {
+    return this.$modelize.meta
+  }
+
+  /**
+   * Cancel the requests in progress
+   */
+  abort () {
+    for (const cancelController of this.$modelize.requests) {
+      cancelController.abort()
+    }
+  }
+
+  /**
+   * Send a request through the interceptors and the transport adapter
+   * @param {object} request - { url, method, headers, body, signal }
+   * @param {object} context - { model, instance, options }
+   * @return {Promise<object>} { request, response } as sent and received
+   *  - response: null if the transport adapter failed, the error is set instead
+   */
+  async _send (request, context) {
+    let response
+
+    // Customize the request, an interceptor may already provide the response
+    const intercepted = await this.constructor._intercept('request', request, context)
+
+    if (has(intercepted, 'status')) {
+      response = intercepted
+    } else {
+      request = intercepted
+
+      // Authenticate the final request (headers, credentials, signature...)
+      if (this.constructor.requireAuth) {
+        await this.constructor.auth.authorize(request, context)
+      }
+
+      // Proceed to api call through the transport adapter
+      // Only a rejected adapter call is a network failure (connection lost, DNS, CORS...)
+      try {
+        response = await this.constructor.adapter(request)
+      } catch (err) {
+        return { request, response: null, error: err }
+      }
+    }
+
+    // Customize the response (headers, envelope, data...)
+    response = await this.constructor._intercept('response', response, context)
+
+    return { request, response }
+  }
+
+  /**
+   * Proceed to a single attempt of the request, aborted after the timeout
+   * @param {object} options - fetch options
+   * @param {object} context - { model, instance, options }
+   * @param {object} settings - request settings
+   * @return {Promise<object>} { request, response, failure, error }
+   *  - failure: null on success, status code of the response, 'network', 'timeout', 'cancelled'
+   *    or 'error' if the request build, an interceptor or the auth strategy threw
+   *  - error: error thrown by the adapter, the request build, an interceptor or the auth strategy, null otherwise
+   */
+  async _attempt (options, context, settings, signal) {
+    const abortController = abortControllerOf()
+    const timeoutError = new Error(`[Modelize][Fetch] Request timed out after ${settings.timeout}ms`)
+    const cancelError = new Error('[Modelize][Fetch] Request cancelled')
+    let abortTimeout
+    let onCancel
+
+    let request = null
+
+    // Pause while the auth session is refreshed
+    await this.constructor._sessionReady()
+    const sessionVersion = this.constructor.session.version
+
+    // Interrupt the attempt on timeout or on cancellation
+    const interruption = new Promise((resolve, reject) => {
+      abortTimeout = setTimeout(() => {
+        abortController.abort()
+        reject(timeoutError)
+      }, settings.timeout)
+
+      onCancel = () => {
+        abortController.abort()
+        reject(cancelError)
+      }
+
+      if (signal.aborted) {
+        onCancel()
+      } else {
+        signal.addEventListener('abort', onCancel)
+      }
+    })
+    // The interruption may happen between two races
+    interruption.catch(() => {})
+
+    try {
+      request = await this.constructor._buildRequest(this, options, abortController.signal)
+      let sent = await Promise.race([this._send(request, context), interruption])
+
+      // Expired auth token: refresh the session once and replay the request
+      if (
+        sent.response !== null &&
+        sent.response.status === 401 &&
+        await this.constructor._refreshSession(sessionVersion)
+      ) {
+        request = await this.constructor._buildRequest(this, options, abortController.signal)
+        sent = await Promise.race([this._send(request, context), interruption])
+      }
+
+      if (sent.response === null) {
+        return {
+          request: sent.request,
+          response: null,
+          failure: 'network',
+          error: sent.error
+        }
+      }
+
+      const { status } = sent.response
+
+      return {
+        request: sent.request,
+        response: sent.response,
+        failure: status >= 200 && status < 300
+          ? null
+          : status,
+        error: null
+      }
+    } catch (err) {
+      // Errors of the request build, the interceptors or the auth strategy are neither retried nor queued
+      let failure = 'error'
+
+      if (err === timeoutError) {
+        failure = 'timeout'
+      } else if (err === cancelError || signal.aborted) {
+        failure = 'cancelled'
+      }
+
+      return {
+        request: request,
+        response: null,
+        failure: failure,
+        error: failure === 'error' ? err : null
+      }
+    } finally {
+      clearTimeout(abortTimeout)
+      signal.removeEventListener('abort', onCancel)
+    }
+  }
+
+  /**
+   * Proceed to the request, retry failed attempts with a backoff
+   * @param {object} options - fetch options
+   * @param {object} context - { model, instance, options }
+   * @param {object} settings - request settings
+   * @param {AbortSignal} signal - cancellation signal
+   * @return {Promise<object>} last attempt { request, response, failure }
+   */
+  async _request (options, context, settings, signal) {
+    let attempt
+
+    for (let index = 0; ; index++) {
+      attempt = await this._attempt(options, context, settings, signal)
+
+      if (
+        attempt.failure === null ||
+        !isRetryable(settings, options.method, attempt.failure, index)
+      ) {
+        return attempt
+      }
+
+      await sleep(retryDelay(settings, index, attempt.response), signal)
+    }
+  }
+
+  /**
+   * Proceed to a GET request through the response cache
+   * - a fresh cached response is served as is
+   * - a stale cached response is served then revalidated in the background
+   * - identical requests in progress are shared
+   * @return {Promise<object>} { request, response, failure, revalidation }
+   *  - revalidation: promise of the background request if the cached response is stale
+   */
+  async _cachedRequest (options, context, settings, signal) {
+    const responseCache = this.constructor.responseCache
+    const key = this.constructor._buildRequestUrl(options)
+    const entry = responseCache.get(key)
+
+    // Shared request, never cancelled by a single instance
+    const revalidate = () => responseCache.share(key, async () => {
+      const attempt = await this._request(options, context, settings, abortControllerOf().signal)
+
+      if (attempt.failure === null) {
+        responseCache.set(key, {
+          request: attempt.request,
+          response: cloneDeep(attempt.response),
+          collection: !options.pk
+        })
+      }
+
+      return attempt
+    })
+
+    if (entry) {
+      return {
+        request: entry.request,
+        response: cloneDeep(entry.response),
+        failure: null,
+        // A stale response is served while it is revalidated in the background
+        revalidation: Date.now() - entry.time >= this.constructor.cache.ttl
+          ? revalidate()
+          : null
+      }
+    }
+
+    const cancelled = new Promise(resolve => {
+      if (signal.aborted) {
+        resolve()
+      } else {
+        signal.addEventListener('abort', resolve, { once: true })
+      }
+    })
+
+    const attempt = await Promise.race([
+      revalidate(),
+      cancelled.then(() => ({ request: null, response: null, failure: 'cancelled' }))
+    ])
+
+    // Every instance formats its own copy of the shared response
+    return Object.assign({}, attempt, {
+      response: cloneDeep(attempt.response)
+    })
+  }
+
+  /**
+   * Update the instance once a stale cached response is revalidated
+   * A page of a collection replaces its stale items only, it is outdated once the collection is loaded again
+   * @param {Promise<object>} revalidation - background request { request, response, failure }
+   * @param {object} options - fetch options
+   * @param {array} staleItems - items received from the stale response
+   */
+  _revalidate (revalidation, options, staleItems) {
+    const latestFetch = this.$modelize.latestFetch
+    const collectionFetch = this.isCollection() ? this.$modelize.collectionFetch : null
+
+    revalidation
+      .then(async attempt => {
+        const isLatest = this.$modelize.latestFetch === latestFetch
+
+        // An item is updated unless a newer fetch has been done, the next pages (getMore) don't outdate a page
+        if (
+          attempt.failure !== null ||
+          (this.isCollection() ? this.$modelize.collectionFetch !== collectionFetch : !isLatest)
+        ) {
+          return
+        }
+
+        const response = cloneDeep(attempt.response)
+        let received
+
+        if (this.isCollection()) {
+          const page = new this.constructor([], { isCustom: this.$modelize.isCustom })
+          const items = this.items()
+          const start = staleItems.length > 0 && items.includes(staleItems[0])
+            ? items.indexOf(staleItems[0])
+            : items.length
+
+          received = page._receive(Object.assign({}, options, { extend: false }), attempt.request, response)
+
+          this.setCollection([
+            ...items.slice(0, start),
+            ...received,
+            ...items.slice(start + staleItems.length)
+          ])
+
+          // Meta and pagination are the ones of the last page fetched
+          if (isLatest) {
+            this.$modelize.fetch = Object.assign({}, page.$modelize.fetch, { options })
+            this.$modelize.meta = page.$modelize.meta
+            this.$modelize.pagination = page.$modelize.pagination
+            this.$modelize.count = page.$modelize.pagination.total === null || page.$modelize.pagination.total === undefined
+              ? this.items().length
+              : page.$modelize.count
+          }
+        } else {
+          received = this._receive(options, attempt.request, response)
+        }
+
+        for (const item of received) {
+          await item._runHook('afterFetch', options)
+        }
+      })
+      // The stale response has been served, a failed revalidation changes nothing
+      .catch(() => {})
+  }
+
+  /**
+   * Update the instance with a successful response
+   * @param {object} options - fetch options
+   * @param {object} request - request sent
+   * @param {object} response - response received
+   * @return {array} items received
+   */
+  _receive (options, request, response) {
+    // Save fetch request & response
+    this.$modelize.fetch = {
+      options: options,
+      request: request,
+      response: response
+    }
+
+    // A deleted item has nothing left to format
+    if (options.method === 'DELETE') {
+      this.$modelize.isDeleted = true
+      return []
+    }
+
+    // Get data from server response, keys renamed to the fieldnames
+    const { data: apiData, count, meta } = this.constructor._readResponse(response, this.isCollection())
+    const data = isArray(apiData)
+      ? apiData.map(item => this.constructor._fromApi(item))
+      : this.constructor._fromApi(apiData)
+    const dataOptions = {
+      isNew: false,
+      isCustom: this.$modelize.isCustom
+    }
+
+    if (count !== null) {
+      dataOptions.count = count
+    }
+
+    // The instance itself becomes the canonical one if there is none
+    dataOptions.skipIdentity = !isArray(data)
+
+    if (!isArray(data)) {
+      this.constructor._claim(this, data)
+    }
+
+    const formattedData = new this.constructor(data, dataOptions)
+
+    this._mutateData(formattedData)
+
+    this.$modelize.meta = meta
+
+    if (this.isCollection()) {
+      this.$modelize.pagination = this.constructor.pagination.read({
+        request: request,
+        response: response,
+        params: options.params || {},
+        total: count,
+        received: isArray(data) ? data.length : 0
+      })
+
+      // Without total, the count is the number of loaded items
+      if (this.$modelize.pagination.total === null || this.$modelize.pagination.total === undefined) {
+        this.$modelize.count = this.items().length
+      }
+    } else {
+      // Write-only values are saved, they are not kept once sent
+      if (options.method !== 'GET') {
+        this.reset(Object.keys(this.constructor.schema).filter(fieldname => this.constructor.schema[fieldname].writeOnly))
+      }
+
+      // Version of the item to send back as If-Match
+      this.$modelize.etag = (response.headers && response.headers.etag) || null
+
+      // The data is merged into the canonical instance if it is another one
+      this.constructor._identify(this)
+    }
+
+    return this.isCollection() ? formattedData.items() : [this]
+  }
+
+  /**
+   * Set the failure states of a request which could not be completed
+   * @param {string} state - 'fetch', 'save' or 'delete'
+   * @param {object} failure - { reason, response, error }
+   */
+  _failRequest (state, failure) {
+    this.$modelize.failure = failure
+
+    emit('ModelizeFetchError', failure.response)
+
+    this.$modelize.states[`${state}InProgress`] = false
+    this.$modelize.states[`${state}Failure`] = true
+
+    return this
+  }
+
+  /**
+   * Queue the write to replay it once back online
+   * @param {object} options - fetch options
+   * @param {string} state - 'save' or 'delete'
+   */
+  async _enqueue (options, state) {
+    let request
+
+    try {
+      request = await this.constructor._buildRequest(this, options)
+    } catch (err) {
+      return this._failRequest(state, { reason: 'error', response: null, error: err })
+    }
+    delete request.signal
+
+    await this.constructor.offlineQueue.enqueue({
+      endpoint: this.constructor.endpoint,
+      options: {
+        method: options.method,
+        pk: options.pk,
+        action: options.action,
+        params: options.params
+      },
+      request: request
+    }, this)
+
+    this.$modelize.states[`${state}InProgress`] = false
+    this.$modelize.states[`${state}Queued`] = true
+
+    return this
+  }
+
+  /**
+   * Proceed to the HTTP request
+   * - Preformat data for backend compatibility
+   * - Build API URL
+   * - Postformat data for frontend compatibility
+   */
+  async fetch (options) {
+    if (!this.constructor.endpoint) {
+      throw new Error('[Modelize][Fetch] endpoint is required to perform a request')
+    }
+
+    // States are prefixed by the kind of request: fetch, save or delete
+    const state = requestStateOf(options.method)
+
+    // The body of a write is built once, replayed writes are already built
+    if (['POST', 'PUT', 'PATCH'].includes(options.method) && !options.queued) {
+      let body
+
+      this.$modelize.states.saveCancelled = false
+
+      try {
+        body = await this._buildBody(options)
+      } catch (err) {
+        return this._failRequest(state, { reason: 'error', response: null, error: err })
+      }
+
+      // A beforeSave hook returning false cancels the save
+      if (body === null) {
+        this.$modelize.states.saveCancelled = true
+
+        return this
+      }
+
+      options = Object.assign({}, options, { body })
+    }
+
+    // Errors and conflict from a previous save are outdated
+    if (options.method !== 'GET') {
+      this._clearServerErrors()
+      this.$modelize.states[`${state}Conflict`] = false
+      this.$modelize.conflict = null
+    }
+
+    // Set states to inprogress
+    this.$modelize.states.fetchCancelled = false
+    this.$modelize.states[`${state}InProgress`] = true
+    this.$modelize.states[`${state}Failure`] = false
+    this.$modelize.states[`${state}Success`] = false
+    this.$modelize.failure = null
+
+    // Offline: the write is queued to be replayed once back online
+    const offlineQueue = options.method !== 'GET' && !options.queued
+      ? this.constructor.offlineQueue
+      : null
+
+    if (offlineQueue && await offlineQueue.mustQueue()) {
+      return this._enqueue(options, state)
+    }
+
+    const context = {
+      model: this.constructor,
+      instance: this,
+      options: options
+    }
+    const settings = this.constructor._requestSettings(options)
+    let attempt
+
+    // Allow the request to be cancelled by .abort(), by the signal option or by a newer fetch
+    const cancelController = abortControllerOf()
+    const cancel = () => cancelController.abort()
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        cancel()
+      } else {
+        options.signal.addEventListener('abort', cancel)
+      }
+    }
+
+    this.$modelize.requests.add(cancelController)
+
+    // Optimistic write: the local state is shown as saved until the server says otherwise
+    const rollback = options.optimistic && options.method !== 'GET'
+      ? this._snapshot(options.method)
+      : null
+
+    // Latest fetch wins: the fetch in progress is superseded
+    if (options.method === 'GET') {
+      if (this.$modelize.latestFetch) {
+        this.$modelize.latestFetch.abort()
+      }
+      this.$modelize.latestFetch = cancelController
+    }
+
+    try {
+      attempt = options.method === 'GET' && this.constructor.cache
+        ? await this._cachedRequest(options, context, settings, cancelController.signal)
+        : await this._request(options, context, settings, cancelController.signal)
+    } finally {
+      this.$modelize.requests.delete(cancelController)
+
+      if (options.signal) {
+        options.signal.removeEventListener('abort', cancel)
+      }
+    }
+
+    // Discard the response of a superseded fetch, the newer one handles the states
+    if (options.method === 'GET' && this.$modelize.latestFetch !== cancelController) {
+      return Promise.resolve(this)
+    }
+
+    const { request, response } = attempt
+
+    this.$modelize.states.timedOut = attempt.failure === 'timeout'
+
+    // Connection lost: the write is queued instead of failing
+    if (offlineQueue && attempt.failure === 'network') {
+      return this._enqueue(options, state)
+    }
+
+    // Still offline: the replayed write stays queued
+    if (options.queued && ['network', 'timeout'].includes(attempt.failure)) {
+      this.$modelize.states[`${state}InProgress`] = false
+
+      return Promise.resolve(this)
+    }
+
+    // The item changed on the server since it was fetched
+    const isConflict = Boolean(
+      response &&
+      ['PUT', 'PATCH', 'DELETE'].includes(options.method) &&
+      [409, 412].includes(response.status)
+    )
+
+    // A conflicting update keeps its changes to be resolved against the server version
+    if (attempt.failure !== null && rollback && !(isConflict && options.method !== 'DELETE')) {
+      rollback()
+      emit('ModelizeRollback', { instance: this, method: options.method, response })
+    }
+
+    if (attempt.failure === 'cancelled') {
+      this.$modelize.states[`${state}InProgress`] = false
+      this.$modelize.states.fetchCancelled = true
+
+      return Promise.resolve(this)
+    }
+
+    if (options.queued && attempt.failure !== 'cancelled') {
+      this.$modelize.states[`${state}Queued`] = false
+    }
+
+    if (attempt.failure !== null) {
+      this.$modelize.failure = {
+        reason: attempt.failure,
+        response: response,
+        error: attempt.error || null
+      }
+
+      // Map field errors sent by the server on the validators
+      if (
+        response &&
+        options.method !== 'GET' &&
+        this.constructor.serverErrors.statuses.includes(response.status)
+      ) {
+        // The serializer knows the error format of the API unless a parser is set
+        this._applyServerErrors(
+          this.constructor.serializer && this.constructor.serverErrors.parse === parseServerErrors
+            ? this.constructor.serializer.errors(response)
+            : this.constructor.serverErrors.parse(response)
+        )
+      }
+
+      if (isConflict) {
+        this.$modelize.conflict = await this._buildConflict(response, options, context, settings, cancelController.signal)
+        this.$modelize.states[`${state}Conflict`] = true
+      }
+
+      emit('ModelizeFetchError', response)
+
+      // Set states to failure
+      this.$modelize.states[`${state}InProgress`] = false
+      this.$modelize.states[`${state}Failure`] = true
+
+      return Promise.resolve(this)
+    }
+
+    let received
+
+    // A response which can't be read (pagination strategy, serializer...) fails the request
+    try {
+      received = this._receive(options, request, response)
+    } catch (err) {
+      return this._failRequest(state, { reason: 'error', response, error: err })
+    }
+
+    if (options.method === 'GET' && this.isCollection() && !options.extend) {
+      this.$modelize.collectionFetch = cancelController
+    }
+
+    if (attempt.revalidation) {
+      this._revalidate(attempt.revalidation, options, received)
+    }
+
+    // Cached responses of the model are outdated after a write
+    if (options.method !== 'GET') {
+      this.constructor._invalidateAfterWrite(options)
+    }
+
+    // Set states to success
+    this.$modelize.states[`${state}InProgress`] = false
+    this.$modelize.states[`${state}Success`] = true
+
+    if (options.method === 'GET') {
+      this.$modelize.states.fetchSuccessOnce = true
+    }
+
+    // Hooks run once the states are up to date
+    if (options.method === 'GET') {
+      for (const item of received) {
+        await item._runHook('afterFetch', options)
+      }
+    } else if (options.method !== 'DELETE') {
+      await this._runHook('afterSave', options)
+    }
+
+    return Promise.resolve(this)
+  }
+
+  /**
+   * Snapshot the fields sent by an optimistic write
+   * @param {string} method - http method of the write
+   * @return {function} restore the snapshot, null if there is nothing to restore
+   */
+  _snapshot (method) {
+    if (method === 'POST') {
+      // Nothing exists on the server yet, the collection removes the item if needed
+      return null
+    }
+
+    if (method === 'DELETE') {
+      this.$modelize.isDeleted = true
+
+      return () => {
+        this.$modelize.isDeleted = false
+      }
+    }
+
+    // Collections have no original data to roll back to
+    if (this.isCollection()) {
+      return null
+    }
+
+    // The changed fields sent by the request are rolled back to originalData
+    // A field edited again while the request was in flight keeps its new value
+    const fieldnames = this.dirtyFields().filter(fieldname => {
+      const validator = this.$modelize.validator[fieldname]
+
+      return validator.checked && validator.isValid(this[fieldname], this)
+    })
+    const sent = this._beforeSaveItem(fieldnames, new Set(), { skipHook: true })
+
+    return () => {
+      const current = this._beforeSaveItem(fieldnames, new Set(), { skipHook: true })
+
+      this.reset(fieldnames.filter(fieldname => {
+        const apiKey = this.constructor._apiKeyOf(fieldname)
+
+        return isEqual(current[apiKey], sent[apiKey])
+      }))
+    }
+  }
+
+  /*****************************************************************
+  * Collection methods
+  *****************************************************************/
+
+  /**
+   * Check if the instance is a collection
+   */
+  isCollection () {
+    return has(this, this.constructor.collectionKey)
+  }
+
+  /**
+   * Set the list of items
+   */
+  setCollection (newCollection) {
+    this[this.constructor.collectionKey] = newCollection
+  }
+
+  /**
+   * Get the list of items
+   */
+  items () {
+    return this[this.constructor.collectionKey]
+  }
+
+  /**
+   * Check if there are items in the collection
+   */
+  isEmpty () {
+    return this.items().length === 0
+  }
+
+  /**
+   * The collection can be extended with more items
+   */
+  hasMore () {
+    return this.$modelize.pagination
+      ? this.$modelize.pagination.hasMore
+      : this.items().length < this.$modelize.count
+  }
+
+  /**
+   * Remove all items from the collection
+   */
+  clear () {
+    return this.items().splice(0, this.items().length)
   }
 
-  toJSON () {
-    return JSON.stringify(this._beforeSave())
+  /**
+   * Try to find an item in the list with a primary key
+   * @param {String} primaryKey - primary key of the item to find
+   */
+  find (primaryKey) {
+    return this.items().find(item => item[this.constructor.primaryKeyFieldname] === primaryKey) || null
   }
 
   /**
-   * Format collections and objects to use in back
+   * Check if an item exists in the collection (based on its primary key)
+   * @param {Object, function} ref - item (with the primary key) to check existence
    */
-  _beforeSave () {
-    if (this.isCollection()) {
-      return this._beforeSaveCollection()
-    } else {
-      return this._beforeSaveItem()
-    }
+  exists (ref) {
+    const check = isFunction(ref)
+      ? ref
+      : (item) => item[this.constructor.primaryKeyFieldname] === ref[this.constructor.primaryKeyFieldname]
+
+    return this.items().some(item => check(item))
   }
 
   /**
-   * Format data recursively based on schema definition
+   * Remove the item from the collection based on its primary key
+   * @param {Object, function} ref - item (with the primary key) to remove
    */
-  _beforeSaveCollection () {
-    return this.items().map(item => item._beforeSaveItem())
+  remove (ref) {
+    const check = isFunction(ref)
+      ? ref
+      : (item) => item[this.constructor.primaryKeyFieldname] === ref[this.constructor.primaryKeyFieldname]
+
+    const indexToRemove = this.items().findIndex(item => check(item))
+
+    if (indexToRemove !== -1) {
+      this.items().splice(indexToRemove, 1)
+      this.$modelize.count = this.$modelize.count - 1
+    }
+
+    return indexToRemove
   }
 
   /**
-   * Format data recursively based on schema definition
+   * Delete the item on the server then remove it from the collection
+   * @param {Object, function} ref - item (with the primary key) to delete
+   * @param {object} options - destroy options
+   *  - optimistic: remove the item right away, put it back at the same index if the deletion failed
+   * @return {integer} index of the removed item, -1 if not found or if the deletion failed
    */
-  _beforeSaveItem () {
-    const newItem = {}
+  async removeAndDestroy (ref, options = {}) {
+    const check = isFunction(ref)
+      ? ref
+      : (item) => item[this.constructor.primaryKeyFieldname] === ref[this.constructor.primaryKeyFieldname]
 
-    for (const fieldname in this.$modelize.validator) {
-      const validator = this.$modelize.validator[fieldname]
-      const value = this[fieldname]
+    const itemToDestroy = this.items().find(item => check(item))
 
-      if (validator.checked && validator.isValid(value, this)) {
-        newItem[fieldname] = this.constructor.schema[fieldname].type.beforeSave(value)
+    if (!itemToDestroy) {
+      return -1
+    }
+
+    if (options.optimistic) {
+      const index = this.remove(itemToDestroy)
+
+      await itemToDestroy.destroy(options)
+
+      if (!itemToDestroy.deleteSuccess) {
+        this.items().splice(index, 0, itemToDestroy)
+        this.$modelize.count = this.$modelize.count + 1
+
+        return -1
       }
+
+      return index
     }
 
-    return newItem
+    await itemToDestroy.destroy(options)
+
+    if (!itemToDestroy.deleteSuccess) {
+      return -1
+    }
+
+    return this.remove(itemToDestroy)
   }
 
   /**
-   * Proceed to the HTTP request
-   * - Preformat data for backend compatibility
-   * - Build API URL
-   * - Postformat data for frontend compatibility
+   * Add a new item to the collection
+   * @param {Object} options - optional definition of the item to add
    */
-  async fetch (options) {
-    if (!this.constructor.endpoint) {
-      throw new Error('[Modelize][Fetch] endpoint is required to perform a request')
+  add (item = {}, options = {}) {
+    const instance = item instanceof this.constructor
+      ? this.constructor._identify(item)
+      : new this.constructor(item, options)
+
+    this.items().push(instance)
+
+    this.$modelize.count = this.$modelize.count + 1
+
+    return instance
+  }
+
+  /**
+   * Create the item on the server then add it to the collection
+   * @param {Object} item - instance or definition of the item to create
+   * @param {object} options - save options
+   *  - optimistic: add the item right away, remove it if the creation failed
+   * @event ModelizeRollback emitted if the optimistic creation failed
+   * @return {Model} the item, check saveSuccess to know if it has been added
+   */
+  async addAndSave (item = {}, options = {}) {
+    const instance = item instanceof this.constructor
+      ? item
+      : new this.constructor(item)
+
+    if (options.optimistic) {
+      this.add(instance)
     }
 
-    // Set states to inprogress
-    if (options.method === 'GET') {
-      this.$modelize.states.fetchInProgress = true
-      this.$modelize.states.fetchFailure = false
-      this.$modelize.states.fetchSuccess = false
+    await instance.save(options)
+
+    if (instance.saveSuccess) {
+      if (!options.optimistic) {
+        this.add(instance)
+      }
+    } else if (options.optimistic) {
+      this.remove(entry => entry === instance)
+      emit('ModelizeRollback', { instance, method: 'POST' })
+    }
+
+    return instance
+  }
+
+  /**
+   * Remove or add the item from the collection based on its primary key
+   * @param {Object} item - item (with the primary key) to add or remove
+   */
+  toggle (item, check = null) {
+    const ref = check || item
+
+    if (this.exists(ref)) {
+      return this.remove(ref)
     } else {
-      this.$modelize.states.saveInProgress = true
-      this.$modelize.states.saveFailure = false
-      this.$modelize.states.saveSuccess = false
+      return this.add(item)
     }
+  }
 
-    // Allow fetch request to be aborted
-    const abortController = new AbortController()
-    const requestUrl = this.constructor._buildRequestUrl(options)
-    const requestInit = await this.constructor._buildRequestInit(this, options.method, abortController.signal)
-    // Prepare fetch request
-    const fetchRequest = new Request(requestUrl, requestInit)
-    let fetchResponse
+  /**
+   * Retrieve a collection of items
+   * @param {object} options
+   *  - action: custom action
+   *  - params: params to send in the url, pagination params of the first page are added
+   *  - url: full url to request instead (e.g. link of a page)
+   *  - signal: AbortSignal to cancel the request
+   *  - timeout, retries, retryOn, retryMethods, backoff: request settings
+   */
+  getCollection (options = {}) {
+    return this.fetch(Object.assign({
+      method: 'GET',
+      action: options.action || '',
+      extend: options.extend || false,
+      params: this.constructor.pagination.initial(options.params || {}),
+      url: options.url
+    }, callOptionsOf(options)))
+  }
 
-    try {
-      const abortTimeout = setTimeout(() => {
-        abortController.abort()
-        throw new Error()
-      }, 20000)
+  /**
+   * Extend a collection with the next page
+   */
+  async getMore () {
+    if (!this.hasMore()) {
+      return
+    }
 
-      // Proceed to api call
-      // https://developer.mozilla.org/fr/docs/Web/API/Fetch_API
-      fetchResponse = await fetch(fetchRequest)
+    const { options } = this.$modelize.fetch
 
-      clearTimeout(abortTimeout)
+    await this.getCollection(Object.assign({
+      action: options.action || '',
+      params: options.params,
+      extend: true
+    }, this.constructor.pagination.next(options.params, this.$modelize.pagination)))
+  }
 
-      // Server side errors raise an exception
-      if (!fetchResponse.ok) {
-        throw new Error()
-      }
-    } catch (err) {
-      document.dispatchEvent(new CustomEvent('ModelizeFetchError', { detail: fetchResponse }))
+  /**
+   * Replace the items with the ones of a page
+   * @param {integer} n - page number, starting at 1
+   * @param {object} options - getCollection options, the params of the last fetch are used by default
+   */
+  getPage (n, options = {}) {
+    const lastOptions = has(this.$modelize, 'fetch') ? this.$modelize.fetch.options : {}
+    const params = this.constructor.pagination.initial(options.params || lastOptions.params || {})
 
-      // Set states to failure
-      if (options.method === 'GET') {
-        this.$modelize.states.fetchInProgress = false
-        this.$modelize.states.fetchFailure = true
-      } else {
-        this.$modelize.states.saveInProgress = false
-        this.$modelize.states.saveFailure = true
+    return this.getCollection(Object.assign({
+      action: lastOptions.action || ''
+    }, options, this.constructor.pagination.page(params, n)))
+  }
+
+  /*****************************************************************
+  * Single item methods
+  *****************************************************************/
+
+  /**
+   * Get original data
+   */
+  baseData () {
+    return this.$modelize.originalData
+  }
+
+  /**
+   * Call the hooks of a lifecycle event synchronously, returned promises are not awaited
+   * @param {string} name - name of the hook
+   * @return {boolean} false if a hook returned false
+   */
+  _callHook (name, ...args) {
+    let result = true
+
+    if (this.isCollection()) {
+      return result
+    }
+
+    for (const hook of this.constructor._hooksOf(name)) {
+      if (hook(this, ...args) === false) {
+        result = false
       }
+    }
 
-      return Promise.resolve(this)
+    return result
+  }
+
+  /**
+   * Call the hooks of a lifecycle event in order, awaiting each of them
+   * @param {string} name - name of the hook
+   * @return {Promise<boolean>} false if a hook returned false, the next hooks are not called
+   */
+  async _runHook (name, ...args) {
+    if (this.isCollection()) {
+      return true
     }
 
-    // Save fetch request & response
-    this.$modelize.fetch = {
-      options: options,
-      request: fetchRequest,
-      response: fetchResponse
+    for (const hook of this.constructor._hooksOf(name)) {
+      if (await hook(this, ...args) === false) {
+        return false
+      }
     }
 
-    // Get data from server response
-    let serverData = await fetchResponse.json()
+    return true
+  }
 
-    let data = serverData
-    const dataOptions = {
-      isNew: false,
-      isCustom: this.$modelize.isCustom
+  /**
+   * Get the If-Match value: the ETag sent by the server, or the quoted version field
+   */
+  _ifMatch () {
+    if (this.$modelize.etag) {
+      return this.$modelize.etag
     }
 
-    if (this.constructor._hasMatchedCollectionPattern(serverData)) {
-      data = serverData[this.constructor.collectionPattern.data]
-      dataOptions.count = serverData[this.constructor.collectionPattern.count]
+    const version = this.constructor.versionFieldname
+      ? this.$modelize.originalData[this.constructor.versionFieldname]
+      : undefined
+
+    return version === undefined || version === null
+      ? null
+      : `"${version}"`
+  }
+
+  /**
+   * Get the current version of the item on the server after a refused write
+   * The response is used if it holds the item and its version, otherwise the item is fetched again
+   * @return {object} { status, remote, etag, diff }
+   */
+  async _buildConflict (response, options, context, settings, signal) {
+    let remote = this.constructor._fromApi(this.constructor._readResponse(response, false).data)
+    let etag = (response.headers && response.headers.etag) || null
+
+    if (
+      !isObject(remote) ||
+      !has(remote, this.constructor.primaryKeyFieldname) ||
+      !(etag || has(remote, this.constructor.versionFieldname))
+    ) {
+      const getOptions = { method: 'GET', pk: options.pk, action: '' }
+      const current = await this._request(getOptions, Object.assign({}, context, { options: getOptions }), settings, signal)
+
+      remote = current.failure === null
+        ? this.constructor._fromApi(this.constructor._readResponse(current.response, false).data)
+        : null
+      etag = current.failure === null ? (current.response.headers && current.response.headers.etag) || null : null
     }
 
-    const formattedData = new this.constructor(data, dataOptions)
+    return {
+      status: response.status,
+      remote: remote,
+      etag: etag,
+      diff: remote ? this._threeWayDiff(remote) : {}
+    }
+  }
 
-    this._mutateData(formattedData)
+  /**
+   * Compare the local changes and the remote changes against the original data
+   * @param {object} remote - current data of the item on the server
+   * @return {object} { fieldname: { base, local, remote, conflict } } for the fields changed on either side
+   */
+  _threeWayDiff (remote) {
+    const base = this.baseData()
+    const diff = {}
 
-    // Set states to success
-    if (options.method === 'GET') {
-      this.$modelize.states.fetchInProgress = false
-      this.$modelize.states.fetchSuccess = true
-      this.$modelize.states.fetchSuccessOnce = true
-    } else {
-      this.$modelize.states.saveInProgress = false
-      this.$modelize.states.saveSuccess = true
+    for (const fieldname in this.constructor.schema) {
+      if (this.constructor.schema[fieldname].virtual) {
+        continue
+      }
+
+      const remoteValue = has(remote, fieldname) ? remote[fieldname] : base[fieldname]
+      const localChanged = this._isFieldDirty(fieldname)
+      const remoteChanged = !isEqual(remoteValue, base[fieldname])
+
+      if (!localChanged && !remoteChanged) {
+        continue
+      }
+
+      const value = this[fieldname]
+      const localValue = value === undefined || value === null
+        ? value
+        : this.constructor.schema[fieldname].type.beforeSave(value)
+
+      diff[fieldname] = {
+        base: base[fieldname],
+        local: localValue,
+        remote: remoteValue,
+        // Both sides changed the field differently
+        conflict: localChanged && remoteChanged && !isEqual(localValue, remoteValue)
+      }
     }
 
-    return Promise.resolve(this)
+    return diff
   }
 
-  /*****************************************************************
-  * Collection methods
-  *****************************************************************/
+  /**
+   * Get the conflict of the last refused write
+   * @return {object} { status, remote, etag, diff } or null
+   */
+  conflict () {
+    return this.$modelize.conflict
+  }
 
   /**
-   * Check if the instance is a collection
+   * Rebase the local changes on the current version of the server
+   * Fields changed locally keep their value, the others take the remote value
+   * The next write is sent with the remote version as If-Match
    */
-  isCollection () {
-    return has(this, this.constructor.collectionKey)
+  resolveConflict () {
+    const conflict = this.$modelize.conflict
+
+    if (!conflict || !conflict.remote) {
+      return this
+    }
+
+    const localChanges = {}
+
+    for (const fieldname of this.dirtyFields()) {
+      localChanges[fieldname] = this[fieldname]
+    }
+
+    this._mutateData(new this.constructor(cloneDeep(conflict.remote), {
+      isNew: false,
+      isCustom: this.$modelize.isCustom,
+      skipIdentity: true
+    }))
+    Object.assign(this, localChanges)
+
+    this.$modelize.etag = conflict.etag
+    this.$modelize.conflict = null
+    this.$modelize.states.saveConflict = false
+    this.$modelize.states.deleteConflict = false
+
+    return this
   }
 
   /**
-   * Set the list of items
+   * Check if a field value differs from the original data
+   * @param {string} fieldname
+   * @param {Set} visited - items being checked, an item met again is not checked twice
+   * @return {boolean}
    */
-  setCollection (newCollection) {
-    this[this.constructor.collectionKey] = newCollection
+  _isFieldDirty (fieldname, visited = new Set([this])) {
+    const originalData = this.$modelize.originalData
+    const fieldconf = this.constructor.schema[fieldname]
+
+    // Virtual and read-only fields have nothing to save
+    if (fieldconf.virtual || fieldconf.readOnly) {
+      return false
+    }
+
+    // Write-only fields have no original value, they are dirty once set
+    if (fieldconf.writeOnly) {
+      return has(this, fieldname) && !isEqual(this[fieldname], fieldconf.defaultValue())
+    }
+
+    if (!has(originalData, fieldname)) {
+      return has(this, fieldname)
+    }
+
+    const original = originalData[fieldname]
+    const value = this[fieldname]
+
+    switch (fieldconf.type.association) {
+      case 'BelongsTo':
+      case 'HasOne':
+        if (!original || !(value instanceof Model)) {
+          return !original !== !(value instanceof Model)
+        }
+
+        return (
+          fieldconf.type.model._primaryKeyOf(original) !== value[fieldconf.type.model.primaryKeyFieldname] ||
+          (!visited.has(value) && value.isDirty(visited))
+        )
+      case 'HasMany': {
+        const originalItems = (original instanceof Model ? original.items() : original) || []
+        const items = value instanceof Model ? value.items() : []
+
+        return (
+          originalItems.length !== items.length ||
+          items.some((item, index) => (
+            fieldconf.type.model._primaryKeyOf(originalItems[index]) !== item[fieldconf.type.model.primaryKeyFieldname] ||
+            (!visited.has(item) && item.isDirty(visited))
+          ))
+        )
+      }
+      default:
+        return !isEqual(this._originalValue(fieldname), value)
+    }
   }
 
   /**
-   * Get the list of items
+   * Build the original value of a field as it was set on the instance
+   * @param {string} fieldname
    */
-  items () {
-    return this[this.constructor.collectionKey]
+  _originalValue (fieldname) {
+    return this.constructor.schema[fieldname].type.beforeBuild(
+      cloneDeep(this.$modelize.originalData[fieldname]),
+      {
+        isNew: this.$modelize.isNew,
+        isCustom: this.$modelize.isCustom
+      }
+    )
   }
 
   /**
-   * Check if there are items in the collection
+   * Get the primary key of an item or of its raw data
+   * @param {object} item - instance or raw data
    */
-  isEmpty () {
-    return this.items().length === 0
-  }
+  static _primaryKeyOf (item) {
+    if (item instanceof Model) {
+      return item[this.primaryKeyFieldname]
+    }
 
-  /**
-   * The collection can be extended with more items
-   */
-  hasMore () {
-    return this.items().length < this.$modelize.count
-  }
+    const primaryKey = item['primaryKey'] || item[this.primaryKeyFieldname]
 
-  /**
-   * Remove all items from the collection
-   */
-  clear () {
-    return this.items().splice(0, this.items().length)
+    return primaryKey
+      ? this.schema[this.primaryKeyFieldname].type.beforeBuild(primaryKey)
+      : primaryKey
   }
 
   /**
-   * Try to find an item in the list with a primary key
-   * @param {String} primaryKey - primary key of the item to find
+   * Check if the item has been changed since it was built or fetched
+   * @param {Set} visited - internal, items being checked to stop on cycles
+   * @return {boolean}
    */
-  find (primaryKey) {
-    return this.items().find(item => item[this.constructor.primaryKeyFieldname] === primaryKey) || null
+  isDirty (visited = new Set()) {
+    return this.dirtyFields(visited).length > 0
   }
 
   /**
-   * Check if an item exists in the collection (based on its primary key)
-   * @param {Object, function} ref - item (with the primary key) to check existence
+   * Get the list of changed fields
+   * @param {Set} visited - internal, items being checked to stop on cycles
+   * @return {array} list of fieldname
    */
-  exists (ref) {
-    const check = isFunction(ref)
-      ? ref
-      : (item) => item[this.constructor.primaryKeyFieldname] === ref[this.constructor.primaryKeyFieldname]
+  dirtyFields (visited = new Set()) {
+    const path = new Set(visited).add(this)
 
-    return this.items().some(item => check(item))
+    return Object.keys(this.constructor.schema).filter(fieldname => this._isFieldDirty(fieldname, path))
   }
 
   /**
-   * Remove the item from the collection based on its primary key
-   * @param {Object, function} ref - item (with the primary key) to remove
+   * Get the changes of the item
+   * @return {object} changes by fieldname
+   *  - basic field or replaced association: { old, new }
+   *  - BELONGSTO, HASONE with the same primary key: changes of the associated item
+   *  - HASMANY: { added<Array>, removed<Array>, changed<Object> } with changes of each item by primary key
+   * @param {Set} visited - internal, items being compared to stop on cycles
    */
-  remove (ref) {
-    const check = isFunction(ref)
-      ? ref
-      : (item) => item[this.constructor.primaryKeyFieldname] === ref[this.constructor.primaryKeyFieldname]
+  changes (visited = new Set()) {
+    const path = new Set(visited).add(this)
+    const changes = {}
 
-    const indexToRemove = this.items().findIndex(item => check(item))
+    for (const fieldname of this.dirtyFields(visited)) {
+      const fieldconf = this.constructor.schema[fieldname]
+      const original = this.$modelize.originalData[fieldname]
+      const value = this[fieldname]
 
-    if (indexToRemove !== -1) {
-      this.items().splice(indexToRemove, 1)
-      this.$modelize.count = this.$modelize.count - 1
+      switch (fieldconf.type.association) {
+        case 'BelongsTo':
+        case 'HasOne':
+          if (
+            original &&
+            value instanceof Model &&
+            fieldconf.type.model._primaryKeyOf(original) === value[fieldconf.type.model.primaryKeyFieldname]
+          ) {
+            changes[fieldname] = path.has(value) ? {} : value.changes(path)
+          } else {
+            changes[fieldname] = { old: original, new: value }
+          }
+          break
+        case 'HasMany': {
+          const AssociatedModel = fieldconf.type.model
+          const originalItems = (original instanceof Model ? original.items() : original) || []
+          const items = value instanceof Model ? value.items() : []
+          const originalKeys = originalItems.map(item => AssociatedModel._primaryKeyOf(item))
+          const keys = items.map(item => item[AssociatedModel.primaryKeyFieldname])
+          const changed = {}
+
+          for (const item of items) {
+            const primaryKey = item[AssociatedModel.primaryKeyFieldname]
+
+            if (originalKeys.includes(primaryKey) && !path.has(item) && item.isDirty(path)) {
+              changed[primaryKey] = item.changes(path)
+            }
+          }
+
+          changes[fieldname] = {
+            added: items.filter(item => !originalKeys.includes(item[AssociatedModel.primaryKeyFieldname])),
+            removed: originalItems.filter(item => !keys.includes(AssociatedModel._primaryKeyOf(item))),
+            changed: changed
+          }
+          break
+        }
+        default:
+          changes[fieldname] = {
+            old: has(this.$modelize.originalData, fieldname)
+              ? this._originalValue(fieldname)
+              : undefined,
+            new: value
+          }
+      }
     }
 
-    return indexToRemove
+    return changes
   }
 
   /**
-   * Add a new item to the collection
-   * @param {Object} options - optional definition of the item to add
+   * Roll back fields to their original data
+   * @param {array} fieldnames - optional list of fieldname (default: every field)
+   * @param {Set} visited - internal, items already rolled back to stop on cycles
    */
-  add (item = {}, options = {}) {
-    const instance = item instanceof this.constructor
-      ? item
-      : new this.constructor(item, options)
-
-    this.items().push(instance)
+  reset (fieldnames = Object.keys(this.constructor.schema), visited = new Set()) {
+    visited.add(this)
+
+    for (const fieldname of fieldnames) {
+      if (has(this.$modelize.originalData, fieldname)) {
+        const original = this.$modelize.originalData[fieldname]
+
+        // Instances given as original data are kept, roll back their own changes
+        if (original instanceof Model) {
+          for (const item of original.isCollection() ? original.items() : [original]) {
+            if (!visited.has(item)) {
+              item.reset(undefined, visited)
+            }
+          }
+          this[fieldname] = original
+        } else {
+          this[fieldname] = this._originalValue(fieldname)
+        }
 
-    this.$modelize.count = this.$modelize.count + 1
+        this.$modelize.validator[fieldname].checked = this.constructor.schema[fieldname].bypassValidation
+      } else if (this.constructor.schema[fieldname].writeOnly && has(this, fieldname)) {
+        this[fieldname] = this.constructor.schema[fieldname].defaultValue()
+        this.$modelize.validator[fieldname].checked = false
+      }
+    }
 
-    return instance
+    return this
   }
 
   /**
-   * Remove or add the item from the collection based on its primary key
-   * @param {Object} item - item (with the primary key) to add or remove
+   * Resolve the message of a validation error
+   * Field specific messages take precedence over the catalog of the current locale
+   * @param {string} fieldname
+   * @param {string} code - error code
+   * @param {object} params - params of the failed check
    */
-  toggle (item, check = null) {
-    const ref = check || item
+  static _errorMessage (fieldname, code, params = {}) {
+    const fieldconf = this.schema[fieldname]
+    params = Object.assign({ field: fieldname }, params)
 
-    if (this.exists(ref)) {
-      return this.remove(ref)
-    } else {
-      return this.add(item)
+    if (fieldconf && has(fieldconf.messages, code)) {
+      return formatMessage(fieldconf.messages[code], params)
     }
+
+    return translate(this.i18n.messages, this.i18n.locale, code, params)
   }
 
   /**
-   * Retrieve a collection of items
-   * @param {object} options
-   *  - action: custom action
-   *  - params: params to send in the url
+   * Build an error of the validation result
+   * @param {array} context - validated fieldlist
+   * @param {string} fieldname
+   * @param {string} error - legacy error type (NOT_VALID, NOT_FOUND, SYNTAX_ERROR)
+   * @param {object} failure - { code, params }
    */
-  getCollection (options = {}) {
-    const params = options.params || {}
+  _validationError (context, fieldname, error, failure) {
+    const validationError = {
+      context: context,
+      name: fieldname,
+      error: error,
+      code: failure.code,
+      params: failure.params,
+      message: this.constructor._errorMessage(fieldname, failure.code, failure.params)
+    }
 
-    if (!params.limit) params.limit = 20
-    if (!params.offset) params.offset = 0
+    if (has(this, fieldname)) {
+      validationError.value = this[fieldname]
+    }
 
-    return this.fetch({
-      method: 'GET',
-      action: options.action || '',
-      extend: options.extend || false,
-      params: params
-    })
+    return validationError
   }
 
   /**
-   * Extend a collection with more items
+   * Get the fieldlist of a validation group
+   * @param {array, string} fieldlist - list of fieldname or name of a validation group
+   * @return {array} list of fieldname
    */
-  async getMore () {
-    this.$modelize.fetch.options.params.offset += this.$modelize.fetch.options.params.limit
-
-    await this.getCollection({
-      action: this.$modelize.fetch.options.action || '',
-      params: this.$modelize.fetch.options.params,
-      extend: true
-    })
-  }
+  static _resolveFieldlist (fieldlist) {
+    if (!isString(fieldlist)) {
+      return fieldlist
+    }
 
-  /*****************************************************************
-  * Single item methods
-  *****************************************************************/
+    if (!has(this.validationGroups, fieldlist)) {
+      throw new Error(`[Modelize][Validation] Unknown validation group '${fieldlist}'`)
+    }
 
-  /**
-   * Get original data
-   */
-  baseData () {
-    return this.$modelize.originalData
+    return this.validationGroups[fieldlist]
   }
 
   /**
    * Valid a list of fields
-   * @param {array} fieldlist list of fieldname
+   * @param {array, string} fieldlist list of fieldname or name of a validation group
+   * @param {object} options
+   *  - skipHook: the beforeValidate hook has already been called
+   *  - visited: items being validated, an item met again is not validated twice (cycles)
    * @return {object} { isValid<Boolean>, errors<Array> }
+   *  - errors: { context, name, value, error, code, params, message }
    */
-  _validQuietly (fieldlist) {
+  _validQuietly (fieldlist, { skipHook = false, visited = new Set() } = {}) {
+    if (!skipHook) {
+      this._callHook('beforeValidate', fieldlist)
+    }
+
+    fieldlist = this.constructor._resolveFieldlist(fieldlist)
+
     if (!isArray(fieldlist)) {
       throw new Error(`[Modelize][Validation] .valid() params must be an array`, fieldlist)
     }
 
     let isValid = true
     let errors = []
+    const path = new Set(visited).add(this)
 
     const checkValidity = (result) => {
       if (!result.isValid) {
@@ -710,28 +2770,29 @@ class Model {
       if (isString(fielditem)) {
         const fieldname = fielditem
 
+        // Read-only and computed fields are not edited, there is nothing to validate
+        if (
+          has(this.constructor.computedFields, fieldname) ||
+          (has(this.constructor.schema, fieldname) && this.constructor.schema[fieldname].readOnly)
+        ) {
+          continue
+        }
+
         if (has(this, fieldname)) {
           this.$modelize.validator[fieldname].checked = true
 
-          if (this.$modelize.validator[fieldname].isValid(this[fieldname], this) === false) {
+          const failure = this.$modelize.validator[fieldname].validate(this[fieldname], this)
+
+          if (failure) {
             checkValidity({
               isValid: false,
-              errors: [{
-                context: fieldlist,
-                name: fieldname,
-                value: this[fieldname],
-                error: 'NOT_VALID'
-              }]
+              errors: [this._validationError(fieldlist, fieldname, 'NOT_VALID', failure)]
             })
           }
         } else {
           checkValidity({
             isValid: false,
-            errors: [{
-              context: fieldlist,
-              name: fieldname,
-              error: 'NOT_FOUND'
-            }]
+            errors: [this._validationError(fieldlist, fieldname, 'NOT_FOUND', { code: 'notFound', params: {} })]
           })
         }
       // Recursive validation for associations
@@ -745,18 +2806,20 @@ class Model {
           switch (this.constructor.schema[fieldname].type.association) {
             case 'BelongsTo':
             case 'HasOne':
-              if (fieldlist) {
-                checkValidity(this[fieldname]._validQuietly(fieldlist))
+              if (fieldlist && !path.has(this[fieldname])) {
+                checkValidity(this[fieldname]._validQuietly(fieldlist, { visited: path }))
               }
               break
             case 'HasMany':
-              // Check if collection is valid
-              checkValidity(this._validQuietly([fieldname]))
+              // Check if collection is valid, the hook of the instance has already been called
+              checkValidity(this._validQuietly([fieldname], { skipHook: true }))
 
               if (fieldlist) {
                 // Check if each item of the collection is valid
                 for (const item of this[fieldname].items()) {
-                  checkValidity(item._validQuietly(fieldlist))
+                  if (!path.has(item)) {
+                    checkValidity(item._validQuietly(fieldlist, { visited: path }))
+                  }
                 }
               }
               break
@@ -764,21 +2827,13 @@ class Model {
         } else {
           checkValidity({
             isValid: false,
-            errors: [{
-              context: fieldlist,
-              name: fieldname,
-              error: 'NOT_FOUND'
-            }]
+            errors: [this._validationError(fieldlist, fieldname, 'NOT_FOUND', { code: 'notFound', params: {} })]
           })
         }
       } else {
         checkValidity({
           isValid: false,
-          errors: [{
-            context: fieldlist,
-            name: fielditem,
-            error: 'SYNTAX_ERROR'
-          }]
+          errors: [this._validationError(fieldlist, fielditem, 'SYNTAX_ERROR', { code: 'syntax', params: {} })]
         })
       }
     }
@@ -791,7 +2846,7 @@ class Model {
 
   /**
    * Valid a list of fields
-   * @param {array} fieldlist list of fieldname
+   * @param {array, string} fieldlist list of fieldname or name of a validation group
    * @return {boolean} result of fields validation
    * @event ModelizeValidationError emitted if the return value is false
    */
@@ -799,53 +2854,331 @@ class Model {
     const { isValid, errors } = this._validQuietly(fieldlist)
 
     if (!isValid) {
-      document.dispatchEvent(new CustomEvent('ModelizeValidationError', {
-        detail: errors
-      }))
+      emit('ModelizeValidationError', errors)
     }
 
     return isValid
   }
 
+  /**
+   * List the async checks to run for a list of fields
+   * Fields which are not valid synchronously are skipped
+   * @param {array} fieldlist list of fieldname
+   * @param {Set} visited - items being walked, to stop on cycles
+   * @return {array} list of { instance, fieldname, context }
+   */
+  _asyncChecks (fieldlist, visited = new Set()) {
+    fieldlist = this.constructor._resolveFieldlist(fieldlist)
+
+    const path = new Set(visited).add(this)
+    let checks = []
+
+    for (const fielditem of fieldlist) {
+      if (isString(fielditem)) {
+        const fieldname = fielditem
+
+        if (
+          has(this, fieldname) &&
+          this.constructor.schema[fieldname].isValidAsync &&
+          this.$modelize.validator[fieldname].isValid(this[fieldname], this)
+        ) {
+          checks.push({ instance: this, fieldname: fieldname, context: fieldlist })
+        }
+      } else if (isArray(fielditem) && has(this, fielditem[0])) {
+        const fieldname = fielditem[0]
+        const fieldlist = fielditem[1]
+
+        switch (this.constructor.schema[fieldname].type.association) {
+          case 'BelongsTo':
+          case 'HasOne':
+            if (fieldlist && this[fieldname] && !path.has(this[fieldname])) {
+              checks = [...checks, ...this[fieldname]._asyncChecks(fieldlist, path)]
+            }
+            break
+          case 'HasMany':
+            checks = [...checks, ...this._asyncChecks([fieldname])]
+
+            if (fieldlist) {
+              for (const item of this[fieldname].items()) {
+                if (!path.has(item)) {
+                  checks = [...checks, ...item._asyncChecks(fieldlist, path)]
+                }
+              }
+            }
+            break
+        }
+      }
+    }
+
+    return checks
+  }
+
+  /**
+   * Run the async valid method of a field
+   * The check is debounced, a new check cancels the stale one of the same field
+   * @param {string} fieldname
+   * @return {Promise<object>} failure { code, params } of the latest check, null if valid
+   */
+  _checkAsync (fieldname) {
+    const fieldconf = this.constructor.schema[fieldname]
+    const validator = this.$modelize.validator[fieldname]
+    const value = this[fieldname]
+
+    // Cancel the stale check
+    if (validator.asyncCheck) {
+      clearTimeout(validator.asyncCheck.timer)
+      validator.asyncCheck.cancel()
+    }
+
+    const abortController = abortControllerOf()
+    const check = {}
+    const isStale = () => validator.asyncCheck !== check
+
+    validator.asyncCheck = check
+    validator.pending = true
+
+    check.promise = new Promise(resolve => {
+      check.timer = setTimeout(resolve, fieldconf.asyncDebounce)
+      check.cancel = () => {
+        abortController.abort()
+        resolve()
+      }
+    })
+      .then(() => isStale()
+        ? true
+        : fieldconf.isValidAsync(value, this, { signal: abortController.signal })
+      )
+      .catch(() => false)
+      .then(result => {
+        // A stale check resolves with the result of the latest one
+        if (isStale()) {
+          if (validator.asyncCheck) {
+            return validator.asyncCheck.promise
+          }
+
+          return validator.asyncError && {
+            code: validator.asyncError.code,
+            params: validator.asyncError.params
+          }
+        }
+
+        const failure = result === true
+          ? null
+          : Object.assign({ code: 'async', params: {} }, isObject(result) ? result : {})
+
+        validator.asyncCheck = null
+        validator.pending = false
+        validator.asyncError = failure && Object.assign({ value: cloneDeep(value) }, failure)
+
+        return failure
+      })
+
+    return check.promise
+  }
+
+  /**
+   * Valid a list of fields with sync and async checks
+   * @param {array, string} fieldlist list of fieldname or name of a validation group
+   * @return {Promise<object>} { isValid<Boolean>, errors<Array> }
+   */
+  async validAsync (fieldlist) {
+    // Async beforeValidate hooks are awaited here
+    await this._runHook('beforeValidate', fieldlist)
+
+    const result = this._validQuietly(fieldlist, { skipHook: true })
+
+    const failures = await Promise.all(
+      this._asyncChecks(fieldlist).map(async ({ instance, fieldname, context }) => {
+        const failure = await instance._checkAsync(fieldname)
+
+        return failure && instance._validationError(context, fieldname, 'NOT_VALID', failure)
+      })
+    )
+
+    const errors = [...result.errors, ...failures.filter(failure => failure)]
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    }
+  }
+
+  /**
+   * Check if an async validation is pending
+   * @param {string} fieldname - optional, any field if not set
+   */
+  validating (fieldname = null) {
+    if (fieldname) {
+      return this.$modelize.validator[fieldname].pending
+    }
+
+    return Object.values(this.$modelize.validator).some(validator => validator.pending)
+  }
+
   /**
    * Check validation status of a validated field
    * @param {string} fieldname
    */
   error (fieldname) {
     return (
-      this.$modelize.validator[fieldname].checked &&
-      !this.$modelize.validator[fieldname].isValid(this[fieldname], this)
+      this._activeError(fieldname, 'serverError') !== null ||
+      this._activeError(fieldname, 'asyncError') !== null ||
+      (
+        this.$modelize.validator[fieldname].checked &&
+        !this.$modelize.validator[fieldname].isValid(this[fieldname], this)
+      )
     )
   }
 
+  /**
+   * Get the message of the error of a validated field
+   * @param {string} fieldname
+   * @return {string} message or null if there is no error
+   */
+  errorMessage (fieldname) {
+    const serverError = this._activeError(fieldname, 'serverError')
+
+    if (serverError) {
+      return serverError.message
+    }
+
+    const validator = this.$modelize.validator[fieldname]
+    const failure = (validator.checked && validator.validate(this[fieldname], this)) ||
+      this._activeError(fieldname, 'asyncError')
+
+    return failure
+      ? this.constructor._errorMessage(fieldname, failure.code, failure.params)
+      : null
+  }
+
+  /**
+   * Get the error sent by the server for a field, until the field is changed
+   * @param {string} fieldname
+   * @return {object} { message, code } or null
+   */
+  serverError (fieldname) {
+    const serverError = this._activeError(fieldname, 'serverError')
+
+    return serverError && {
+      message: serverError.message,
+      code: serverError.code
+    }
+  }
+
+  /**
+   * Get an error found out of the sync validation, until the field is changed
+   * @param {string} fieldname
+   * @param {string} kind - serverError or asyncError
+   */
+  _activeError (fieldname, kind) {
+    const error = this.$modelize.validator[fieldname][kind]
+
+    return error && isEqual(error.value, this[fieldname])
+      ? error
+      : null
+  }
+
+  /**
+   * Map field errors sent by the server on the validators of the item and its associations
+   * @param {array} errors - list of { path, message, code }, path can be nested (plans[2].price)
+   * @return {array} errors which do not match any field
+   */
+  _applyServerErrors (errors) {
+    return errors.filter(error => !this._setServerError(parsePath(error.path), error))
+  }
+
+  _setServerError ([apiKey, ...segments], error) {
+    // Paths sent by the server use the API keys
+    const fieldname = this.constructor._fieldnameOf(apiKey)
+
+    if (!this.$modelize.validator || !has(this.$modelize.validator, fieldname)) {
+      return false
+    }
+
+    const value = this[fieldname]
+
+    // Error on a field of the item
+    if (segments.length === 0) {
+      this.$modelize.validator[fieldname].serverError = {
+        message: error.message,
+        code: error.code,
+        value: cloneDeep(value) // the error is outdated once the value is changed
+      }
+      return true
+    }
+
+    if (!(value instanceof Model)) {
+      return false
+    }
+
+    // Error on an item of a collection
+    if (value.isCollection()) {
+      const [index, ...itemSegments] = segments
+      const item = value.items()[index]
+
+      if (!item) {
+        return false
+      }
+
+      return itemSegments.length === 0
+        ? this._setServerError([apiKey], error)
+        : item._setServerError(itemSegments, error)
+    }
+
+    return value._setServerError(segments, error)
+  }
+
+  _clearServerErrors (visited = new Set()) {
+    visited.add(this)
+
+    for (const fieldname in this.$modelize.validator) {
+      this.$modelize.validator[fieldname].serverError = null
+
+      const value = this[fieldname]
+
+      if (value instanceof Model) {
+        for (const item of value.isCollection() ? value.items() : [value]) {
+          if (!visited.has(item)) {
+            item._clearServerErrors(visited)
+          }
+        }
+      }
+    }
+  }
+
   /**
    * Retrieve a single item
    * @param {object} options
    *  - pk: item reference
    *  - action: custom action
+   *  - signal: AbortSignal to cancel the request
+   *  - timeout, retries, retryOn, retryMethods, backoff: request settings
    */
   get (options) {
     if (!has(options, 'pk')) {
       throw new Error(`[Modelize][Fetch] get(options) method requires 'pk' in options`)
     }
 
-    return this.fetch({
+    return this.fetch(Object.assign({
       method: 'GET',
       pk: options.pk,
       action: options.action || ''
-    })
+    }, callOptionsOf(options)))
   }
 
   /**
    * Create a new item
    * @param {object} options
    *  - action: custom action
+   *  - signal: AbortSignal to cancel the request
+   *  - timeout, retries, retryOn, retryMethods, backoff: request settings
+   *  - optimistic: consider the item saved right away
    */
   post (options = {}) {
-    return this.fetch({
+    return this.fetch(Object.assign({
       method: 'POST',
       action: options.action || ''
-    })
+    }, callOptionsOf(options)))
   }
 
   /**
@@ -853,33 +3186,79 @@ class Model {
    * @param {object} options
    *  - pk: item reference (default: value of the primary key field)
    *  - action: custom action
+   *  - signal: AbortSignal to cancel the request
+   *  - timeout, retries, retryOn, retryMethods, backoff: request settings
+   *  - optimistic: keep the local changes, roll them back if the request fails
    */
   put (options = {}) {
-    return this.fetch({
+    return this.fetch(Object.assign({
       method: 'PUT',
       pk: options.pk || this[this.constructor.primaryKeyFieldname],
       action: options.action || ''
-    })
+    }, callOptionsOf(options)))
   }
 
   /**
-   * Partial update of an item
+   * Partial update of an item, only validated fields changed since the last fetch are sent
    * @param {object} options
    *  - pk: item reference (default: value of the primary key field)
    *  - action: custom action
+   *  - signal: AbortSignal to cancel the request
+   *  - timeout, retries, retryOn, retryMethods, backoff: request settings
+   *  - optimistic: keep the local changes, roll them back if the request fails
    */
   patch (options = {}) {
-    return this.fetch({
+    return this.fetch(Object.assign({
       method: 'PATCH',
       pk: options.pk || this[this.constructor.primaryKeyFieldname],
       action: options.action || ''
-    })
+    }, callOptionsOf(options)))
+  }
+
+  /**
+   * Delete an item
+   * @param {object} options
+   *  - pk: item reference (default: value of the primary key field)
+   *  - action: custom action
+   *  - signal: AbortSignal to cancel the request
+   *  - timeout, retries, retryOn, retryMethods, backoff: request settings
+   *  - optimistic: mark the item as deleted right away, restore it if the request fails
+   */
+  destroy (options = {}) {
+    return this.fetch(Object.assign({
+      method: 'DELETE',
+      pk: options.pk || this[this.constructor.primaryKeyFieldname],
+      action: options.action || ''
+    }, callOptionsOf(options)))
   }
 
   /**
    * Create or update the item depends of if it comes from db or not
+   * The 'create' or 'update' validation group is validated first if it exists
+   * @param {object} options
+   *  - validate: name of the validation group to validate, false to skip the validation
+   *  - optimistic: keep the local changes, roll them back if the request fails
+   * @event ModelizeValidationError emitted if the validation failed
+   * @event ModelizeRollback emitted if an optimistic request failed
    */
-  save (options = {}) {
+  async save (options = {}) {
+    const group = has(options, 'validate')
+      ? options.validate
+      : (this.$modelize.isNew ? 'create' : 'update')
+
+    if (group && (has(options, 'validate') || has(this.constructor.validationGroups, group))) {
+      const { isValid, errors } = await this.validAsync(group)
+
+      if (!isValid) {
+        emit('ModelizeValidationError', errors)
+
+        this.$modelize.states.saveSuccess = false
+        this.$modelize.states.saveFailure = true
+
+        return this
+      }
+    }
+
     return (
       this.$modelize.isNew
         ? this.post(options)
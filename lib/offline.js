@@ -0,0 +1,195 @@
+import { emit } from './utils/events.js'
+
+
+/**
+ * Store keeping the queue in memory, the queue is lost on reload
+ */
+function memoryStore () {
+  let entries = []
+
+  return {
+    load: () => entries,
+    save: (newEntries) => {
+      entries = newEntries
+    }
+  }
+}
+
+/**
+ * Store persisting the queue in a localStorage-like storage
+ * @param {string} key - storage key
+ * @param {object} storage - object with getItem and setItem (default: localStorage)
+ */
+function localStorageStore (key = 'modelize-queue', storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+  if (!storage) {
+    throw new Error('[Modelize][Offline] localStorage is not available, provide a storage')
+  }
+
+  return {
+    load: () => JSON.parse(storage.getItem(key) || '[]'),
+    save: (entries) => storage.setItem(key, JSON.stringify(entries))
+  }
+}
+
+
+/**
+ * Queue of the writes made while offline, persisted in a store
+ * Entries: { id, endpoint, options: { method, pk, action, params }, request: { url, method, headers, body } }
+ * - instances of the current session are tracked to update their states on replay
+ * - models are registered by endpoint to replay the entries of a previous session
+ */
+class OfflineQueue {
+  constructor (options = {}) {
+    this.store = options.store || memoryStore()
+    this.isOnline = options.isOnline ||
+      (() => typeof navigator === 'undefined' || navigator.onLine !== false)
+    this.onConflict = options.onConflict || null
+    this.entries = []
+    this.instances = new Map()
+    this.models = new Map()
+    this.loading = null
+    this.replaying = null
+  }
+
+  get size () {
+    return this.entries.length
+  }
+
+  /**
+   * Global status of the queue
+   * @return {object} { size, replaying }
+   */
+  status () {
+    return {
+      size: this.size,
+      replaying: this.replaying !== null
+    }
+  }
+
+  /**
+   * Load the entries persisted by a previous session, once
+   */
+  ready () {
+    if (!this.loading) {
+      this.loading = Promise.resolve(this.store.load()).then((entries) => {
+        this.entries = (entries || []).concat(this.entries)
+      })
+    }
+
+    return this.loading
+  }
+
+  async persist () {
+    await this.store.save(this.entries)
+
+    emit('ModelizeQueueChange', this.status())
+  }
+
+  /**
+   * Register a model to replay its entries
+   * @param {Model} model
+   */
+  register (model) {
+    this.models.set(model.endpoint, model)
+  }
+
+  /**
+   * Check if a write must be queued: offline, or queued writes to send first to keep the order
+   */
+  async mustQueue () {
+    await this.ready()
+
+    return this.size > 0 || !(await this.isOnline())
+  }
+
+  /**
+   * Queue a write
+   * A write of an instance replaces its previous write of the same method, PATCH bodies are merged
+   * @param {object} entry - { endpoint, options, request }
+   * @param {Model} instance - instance the write comes from
+   * @return {object} the queued entry
+   */
+  async enqueue (entry, instance) {
+    await this.ready()
+
+    // The entry being replayed is already sent
+    const previous = this.entries.find((queued, index) =>
+      !(index === 0 && this.replaying) &&
+      this.instances.get(queued.id) === instance &&
+      queued.request.method === entry.request.method
+    )
+
+    if (previous) {
+      previous.request.body = entry.request.method === 'PATCH'
+        ? Object.assign({}, previous.request.body, entry.request.body)
+        : entry.request.body
+    } else {
+      entry.id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+      this.entries.push(entry)
+      this.instances.set(entry.id, instance)
+    }
+
+    await this.persist()
+
+    return previous || entry
+  }
+
+  /**
+   * Queued entries, all of them or those of an instance
+   * @param {Model} instance
+   */
+  pending (instance = null) {
+    return instance
+      ? this.entries.filter(entry => this.instances.get(entry.id) === instance)
+      : this.entries.slice()
+  }
+
+  /**
+   * Send the entries in order, one replay at a time
+   * @param {function} send - async (entry, instance) => 'done', 'discard' or 'keep' to stop the replay
+   *  a send which throws keeps the entry and stops the replay
+   */
+  replay (send) {
+    if (!this.replaying) {
+      this.replaying = this._replay(send).finally(() => {
+        this.replaying = null
+      })
+    }
+
+    return this.replaying
+  }
+
+  async _replay (send) {
+    await this.ready()
+
+    while (this.entries.length > 0) {
+      const entry = this.entries[0]
+      let result
+
+      try {
+        result = await send(entry, this.instances.get(entry.id) || null)
+      } catch (err) {
+        result = 'keep'
+      }
+
+      if (result === 'keep') {
+        break
+      }
+
+      this.entries.shift()
+      this.instances.delete(entry.id)
+
+      await this.persist()
+    }
+
+    return this.size
+  }
+}
+
+
+export default OfflineQueue
+
+export {
+  memoryStore,
+  localStorageStore
+}
@@ -0,0 +1,214 @@
+import { isFunction, isString, isObject } from './utils/validation.js'
+import { getPath } from './utils/object.js'
+
+
+/**
+ * Pagination strategies
+ * A strategy builds the request options of a page and reads the pagination state of a response
+ *  - initial(params): params of the first page, defaults added to the given params
+ *  - page(params, n): request options ({ params } or { url }) of the page n, starting at 1
+ *  - next(params, state): request options of the next page
+ *  - read({ request, response, params, total, received }): state { total, next, hasMore }
+ *    total is the count found in the collection pattern (null if none), received the number of items of the page
+ */
+
+
+// Helpers
+const hasMoreThan = (loaded, total, received, size) => (
+  total === null || total === undefined
+    ? received >= size // full page: there may be more
+    : loaded < total
+)
+
+// Resolve a link against the request url, the page url if the request url is relative
+// The link is kept as is if there is no absolute base (relative baseUrl outside a browser)
+const absoluteUrl = (url, base) => {
+  try {
+    return new URL(url, new URL(base, typeof location !== 'undefined' ? location.href : undefined)).href
+  } catch (err) {
+    return url
+  }
+}
+
+/**
+ * Parse a RFC 5988 Link header
+ * @param {string} header - '<https://api/users?page=2>; rel="next", <...>; rel="last"'
+ * @return {object} urls by rel
+ */
+function parseLinkHeader (header) {
+  const links = {}
+
+  for (const part of (header || '').split(',')) {
+    const match = part.match(/<([^>]*)>\s*;(.*)/)
+
+    if (match) {
+      const rel = match[2].match(/rel="?([^";]+)"?/)
+
+      if (rel) {
+        for (const name of rel[1].trim().split(/\s+/)) {
+          links[name] = match[1].trim()
+        }
+      }
+    }
+  }
+
+  return links
+}
+
+
+/**
+ * ?limit=20&offset=40
+ */
+function offset ({ limit = 20, limitParam = 'limit', offsetParam = 'offset' } = {}) {
+  return {
+    initial: (params) => Object.assign({
+      [limitParam]: limit,
+      [offsetParam]: 0
+    }, params),
+    page: (params, n) => ({
+      params: Object.assign({}, params, {
+        [offsetParam]: (n - 1) * Number(params[limitParam])
+      })
+    }),
+    next: (params) => ({
+      params: Object.assign({}, params, {
+        [offsetParam]: Number(params[offsetParam]) + Number(params[limitParam])
+      })
+    }),
+    read: ({ params, total, received }) => ({
+      total: total,
+      next: null,
+      hasMore: hasMoreThan(Number(params[offsetParam]) + received, total, received, Number(params[limitParam]))
+    })
+  }
+}
+
+/**
+ * ?page=3&per_page=20
+ */
+function page ({ perPage = 20, pageParam = 'page', perPageParam = 'per_page' } = {}) {
+  return {
+    initial: (params) => Object.assign({
+      [pageParam]: 1,
+      [perPageParam]: perPage
+    }, params),
+    page: (params, n) => ({
+      params: Object.assign({}, params, { [pageParam]: n })
+    }),
+    next: (params) => ({
+      params: Object.assign({}, params, { [pageParam]: Number(params[pageParam]) + 1 })
+    }),
+    read: ({ params, total, received }) => ({
+      total: total,
+      next: null,
+      hasMore: hasMoreThan(Number(params[pageParam]) * Number(params[perPageParam]), total, received, Number(params[perPageParam]))
+    })
+  }
+}
+
+/**
+ * ?cursor=<token>, the token of the next page is read from the response body
+ * Pages can only be loaded in order
+ */
+function cursor ({ limit = 20, limitParam = 'limit', cursorParam = 'cursor', nextCursor = 'next_cursor' } = {}) {
+  return {
+    initial: (params) => Object.assign({
+      [limitParam]: limit
+    }, params),
+    page: (params, n) => {
+      if (n !== 1) {
+        throw new Error(`[Modelize][Pagination] cursor pagination can only load the first page with getPage()`)
+      }
+
+      const firstParams = Object.assign({}, params)
+      delete firstParams[cursorParam]
+
+      return { params: firstParams }
+    },
+    next: (params, state) => ({
+      params: Object.assign({}, params, { [cursorParam]: state.next })
+    }),
+    read: ({ response, total }) => {
+      const next = getPath(response.data, nextCursor)
+
+      return {
+        total: total,
+        next: next === undefined ? null : next,
+        hasMore: next !== undefined && next !== null && next !== ''
+      }
+    }
+  }
+}
+
+/**
+ * Link: <https://api.example.com/users?page=2>; rel="next"
+ * The next page is the url of the "next" link, getPage() sets the page param
+ */
+function link ({ perPage = null, pageParam = 'page', perPageParam = 'per_page' } = {}) {
+  return {
+    initial: (params) => perPage
+      ? Object.assign({ [perPageParam]: perPage }, params)
+      : Object.assign({}, params),
+    page: (params, n) => ({
+      params: Object.assign({}, params, { [pageParam]: n })
+    }),
+    next: (params, state) => ({
+      url: state.next
+    }),
+    read: ({ request, response, total }) => {
+      const links = parseLinkHeader(response.headers && response.headers.link)
+      // Relative links are resolved against the request url
+      const next = links.next
+        ? absoluteUrl(links.next, request.url)
+        : null
+
+      return {
+        total: total,
+        next: next,
+        hasMore: next !== null
+      }
+    }
+  }
+}
+
+
+const strategies = {
+  offset,
+  page,
+  cursor,
+  link
+}
+
+/**
+ * Get a strategy from the pagination option
+ * @param {string, object} option - 'offset', 'page', 'cursor', 'link', { type, ...options } or a strategy
+ */
+function resolvePagination (option = 'offset') {
+  if (isString(option)) {
+    option = { type: option }
+  }
+
+  if (isObject(option) && option.type) {
+    if (!strategies[option.type]) {
+      throw new Error(`[Modelize][Pagination] unknown pagination '${option.type}'`)
+    }
+
+    return strategies[option.type](option)
+  }
+
+  if (!isObject(option) || ['initial', 'page', 'next', 'read'].some(method => !isFunction(option[method]))) {
+    throw new Error(`[Modelize][Pagination] pagination must be a strategy name or an object with initial, page, next and read methods`)
+  }
+
+  return option
+}
+
+
+export {
+  offset,
+  page,
+  cursor,
+  link,
+  parseLinkHeader,
+  resolvePagination
+}
@@ -0,0 +1,122 @@
+import { isNumber } from './utils/validation.js'
+
+
+/**
+ * Default request settings, can be set globally, per model and per call
+ */
+const defaultRequestSettings = {
+  // Abort each attempt after this delay (ms)
+  timeout: 20000,
+  // Number of retries after the first attempt
+  retries: 0,
+  // Status codes to retry, 'network' for network errors and 'timeout' for timed out attempts
+  retryOn: [408, 429, 500, 502, 503, 504, 'network', 'timeout'],
+  // Only idempotent methods are retried, POST and PATCH must be listed explicitly
+  retryMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  // Exponential backoff: delay * factor ^ attempt, capped to maxDelay (ms)
+  backoff: {
+    delay: 300,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: true
+  }
+}
+
+
+/**
+ * Merge settings, undefined values are skipped
+ * @param {object} settings - base settings
+ * @param {object} overrides - settings to apply
+ */
+function mergeRequestSettings (settings, overrides = {}) {
+  const merged = Object.assign({}, settings)
+
+  for (const key in defaultRequestSettings) {
+    if (overrides[key] !== undefined) {
+      merged[key] = key === 'backoff'
+        ? Object.assign({}, settings.backoff, overrides.backoff)
+        : overrides[key]
+    }
+  }
+
+  return merged
+}
+
+
+/**
+ * Check if a failed attempt can be retried
+ * @param {object} settings - request settings
+ * @param {string} method - HTTP method
+ * @param {string, integer} failure - status code, 'network' or 'timeout'
+ * @param {integer} attempt - index of the failed attempt
+ */
+function isRetryable (settings, method, failure, attempt) {
+  return (
+    attempt < settings.retries &&
+    settings.retryMethods.includes(method) &&
+    settings.retryOn.includes(failure)
+  )
+}
+
+
+/**
+ * Get the delay before the next attempt
+ * The Retry-After header of the response takes precedence over the backoff, both are capped to maxDelay
+ * @param {object} settings - request settings
+ * @param {integer} attempt - index of the failed attempt
+ * @param {object} response - failed response (optional)
+ * @return {integer} delay in ms
+ */
+function retryDelay (settings, attempt, response = null) {
+  const { delay, factor, maxDelay, jitter } = settings.backoff
+  const retryAfter = response && response.headers && response.headers['retry-after']
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+
+    if (isNumber(seconds)) {
+      return Math.min(maxDelay, Math.max(0, seconds * 1000))
+    }
+
+    const date = Date.parse(retryAfter)
+
+    if (!Number.isNaN(date)) {
+      return Math.min(maxDelay, Math.max(0, date - Date.now()))
+    }
+  }
+
+  const backoffDelay = Math.min(maxDelay, delay * Math.pow(factor, attempt))
+
+  // Spread the retries of concurrent clients
+  return jitter
+    ? Math.round(backoffDelay * (0.5 + Math.random() / 2))
+    : backoffDelay
+}
+
+
+/**
+ * Wait for a delay
+ * @param {integer} ms
+ * @param {AbortSignal} signal - stop waiting on abort (optional)
+ */
+function sleep (ms, signal = null) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms)
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer)
+        resolve()
+      }, { once: true })
+    }
+  })
+}
+
+
+export {
+  defaultRequestSettings,
+  mergeRequestSettings,
+  isRetryable,
+  retryDelay,
+  sleep
+}
@@ -0,0 +1,51 @@
+import {
+  isFunction,
+  isString
+} from './utils/validation.js'
+import { isEqual } from './utils/object.js'
+
+
+/**
+ * Declarative validation rules of the schema (`validate` field option)
+ * A rule checks a non blank value: (value, param, data) => boolean
+ * The failed rule name is the error code
+ */
+const validationRules = {
+  // Numbers and dates
+  min: (value, min) => value >= min,
+  max: (value, max) => value <= max,
+  // Strings and arrays
+  minLength: (value, minLength) => value.length >= minLength,
+  maxLength: (value, maxLength) => value.length <= maxLength,
+  pattern: (value, pattern) => (
+    isString(pattern)
+      ? new RegExp(pattern)
+      : pattern
+  ).test(value),
+  // Enumeration
+  oneOf: (value, list) => list.some(item => isEqual(item, value)),
+  // Cross fields
+  equalsField: (value, fieldname, data) => isEqual(value, data[fieldname]),
+  afterField: (value, fieldname, data) => data[fieldname] === null || value > data[fieldname],
+  beforeField: (value, fieldname, data) => data[fieldname] === null || value < data[fieldname]
+}
+
+
+/**
+ * Get the param of a rule, a function param is resolved with the data of the item
+ * Note: pattern param is never called
+ * @param {string} rule
+ * @param {*} param
+ * @param {object} data
+ */
+function resolveRuleParam (rule, param, data) {
+  return isFunction(param) && rule !== 'pattern'
+    ? param(data)
+    : param
+}
+
+
+export {
+  validationRules,
+  resolveRuleParam
+}
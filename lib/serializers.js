@@ -0,0 +1,296 @@
+import {
+  has,
+  isArray,
+  isObject,
+  isString
+} from './utils/validation.js'
+import { getPath } from './utils/object.js'
+
+
+/**
+ * Serializers translate the API format to the flat data of the models
+ *  - contentType: Content-Type of the request bodies
+ *  - read(response, { model, collection }): { data, count, meta } with flat item(s) as data
+ *  - write(body, { model, method, instance }): request body from the flat data of _beforeSave()
+ *  - params(params): query params of the request url
+ *  - errors(response): field errors [{ path, message, code }]
+ */
+
+
+// Helpers
+const typeOf = (model) => (model.serializer && model.serializer.type) || model.endpoint
+
+// Keys of the documents are API keys
+const associationOf = (model, apiKey) => {
+  const fieldname = model._fieldnameOf(apiKey)
+
+  return has(model.schema, fieldname) && model.schema[fieldname].type.association
+    ? model.schema[fieldname].type
+    : null
+}
+
+// Pagination params of the strategies and their name in page[]
+const pageParams = [
+  ['limit', 'limit'],
+  ['offset', 'offset'],
+  ['page', 'number'],
+  ['size', 'size'],
+  ['per_page', 'size']
+]
+
+const primaryKeyOf = (model) => (
+  model.primaryKeyFieldname
+    ? model._apiKeyOf(model.primaryKeyFieldname)
+    : 'id'
+)
+
+// Primary key of an item as sent to the API, null if it has none
+const idOf = (model, item) => {
+  const fieldname = model.primaryKeyFieldname
+  const value = fieldname && item ? item[fieldname] : null
+
+  return value === null || value === undefined || value === ''
+    ? null
+    : String(model.schema[fieldname].type.beforeSave(value))
+}
+
+/**
+ * Flatten nested params into bracket keys: { filter: { status: 'draft' } } gives { 'filter[status]': 'draft' }
+ * Arrays are joined with commas: { include: ['author', 'plans'] } gives { include: 'author,plans' }
+ */
+const flattenParams = (params, prefix = '') => {
+  const flatParams = {}
+
+  for (const key in params) {
+    const name = prefix ? `${prefix}[${key}]` : key
+    const value = params[key]
+
+    if (isArray(value)) {
+      flatParams[name] = value.join(',')
+    } else if (isObject(value) && !(value instanceof Date)) {
+      Object.assign(flatParams, flattenParams(value, name))
+    } else if (value !== undefined) {
+      flatParams[name] = value
+    }
+  }
+
+  return flatParams
+}
+
+
+/**
+ * JSON:API documents (https://jsonapi.org)
+ * @param {object} options
+ *  - type: resource type of the model (default: endpoint of the model)
+ *  - count: key path of the total count in the meta of the document (default: 'total')
+ */
+function jsonApi ({ type = null, count = 'total' } = {}) {
+  /**
+   * Flatten a resource object, related resources found in included are flattened recursively
+   * @param {object} resource - { type, id, attributes, relationships }
+   * @param {Model} model - model of the resource
+   * @param {Map} included - included resources by 'type:id'
+   * @param {Set} path - resources being flattened, to stop on cycles
+   */
+  const flatten = (resource, model, included, path) => {
+    const item = Object.assign({}, resource.attributes)
+
+    item[primaryKeyOf(model)] = resource.id
+
+    for (const name in resource.relationships) {
+      const relationship = resource.relationships[name]
+      const association = associationOf(model, name)
+
+      // Relationships with links only have nothing to build
+      if (!isObject(relationship) || !has(relationship, 'data')) {
+        continue
+      }
+
+      const resolve = (identifier) => {
+        const related = included.get(`${identifier.type}:${identifier.id}`)
+        const relatedModel = association ? association.model : null
+
+        if (related && relatedModel && !path.has(related)) {
+          return flatten(related, relatedModel, included, new Set(path).add(related))
+        }
+
+        return { [relatedModel ? primaryKeyOf(relatedModel) : 'id']: identifier.id }
+      }
+
+      item[name] = isArray(relationship.data)
+        ? relationship.data.map(resolve)
+        : relationship.data === null
+          ? null
+          : resolve(relationship.data)
+    }
+
+    return item
+  }
+
+  return {
+    type: type,
+
+    contentType: 'application/vnd.api+json',
+
+    read (response, { model }) {
+      const document = response.data
+
+      if (!isObject(document) || !has(document, 'data')) {
+        return { data: document, count: null, meta: null }
+      }
+
+      const included = new Map()
+
+      for (const resource of document.included || []) {
+        included.set(`${resource.type}:${resource.id}`, resource)
+      }
+
+      const flattenResource = (resource) => (
+        isObject(resource)
+          ? flatten(resource, model, included, new Set([resource]))
+          : resource
+      )
+      const meta = has(document, 'meta') ? document.meta : null
+      const total = meta && count ? getPath(meta, count) : undefined
+
+      return {
+        data: isArray(document.data)
+          ? document.data.map(flattenResource)
+          : flattenResource(document.data),
+        count: total === undefined || total === null ? null : Number(total),
+        meta: meta
+      }
+    },
+
+    write (body, { model, method, instance }) {
+      const toResource = (attributes, item) => {
+        const resource = {
+          type: typeOf(model),
+          attributes: {}
+        }
+
+        // Updates always identify the resource, a new one only if its id is sent
+        const id = method === 'POST'
+          ? (has(attributes, primaryKeyOf(model)) ? idOf(model, item) : null)
+          : idOf(model, item)
+
+        if (id !== null) {
+          resource.id = id
+        }
+
+        for (const apiKey in attributes) {
+          const association = associationOf(model, apiKey)
+          const value = item[model._fieldnameOf(apiKey)]
+
+          if (apiKey === primaryKeyOf(model)) {
+            continue
+          }
+
+          if (association) {
+            const identifier = (related) => ({
+              type: typeOf(association.model),
+              id: idOf(association.model, related)
+            })
+
+            resource.relationships = resource.relationships || {}
+            resource.relationships[apiKey] = {
+              data: association.association === 'HasMany'
+                ? (value ? value.items().map(identifier) : [])
+                : (value ? identifier(value) : null)
+            }
+          } else {
+            resource.attributes[apiKey] = attributes[apiKey]
+          }
+        }
+
+        return resource
+      }
+
+      return {
+        data: isArray(body)
+          ? body.map((attributes, index) => toResource(attributes, instance.items()[index]))
+          : toResource(body, instance)
+      }
+    },
+
+    params (params) {
+      const otherParams = Object.assign({}, params)
+      const page = {}
+
+      // Pagination params go to page[]: limit and offset, page and size (or per_page) as number and size
+      for (const [key, name] of pageParams) {
+        if (key === 'page' && isObject(params.page)) {
+          continue
+        }
+        if (params[key] !== undefined) {
+          page[name] = params[key]
+          delete otherParams[key]
+        }
+      }
+
+      if (Object.keys(page).length > 0) {
+        otherParams.page = Object.assign(page, otherParams.page)
+      }
+
+      return flattenParams(otherParams)
+    },
+
+    errors (response) {
+      const errors = response.data && response.data.errors
+
+      if (!isArray(errors)) {
+        return []
+      }
+
+      return errors
+        .filter(error => isObject(error) && isObject(error.source) && isString(error.source.pointer))
+        .map(error => ({
+          // /data/attributes/plans/2/price gives plans[2].price
+          path: error.source.pointer
+            .replace(/^\/data(\/\d+)?\/(attributes|relationships)\/?/, '')
+            .split('/')
+            .filter(segment => segment !== '')
+            .map((segment, index) => /^\d+$/.test(segment) ? `[${segment}]` : (index === 0 ? segment : `.${segment}`))
+            .join(''),
+          message: error.detail || error.title || '',
+          code: error.code || 'server'
+        }))
+        .filter(error => error.path !== '')
+    }
+  }
+}
+
+
+const serializers = {
+  jsonapi: jsonApi
+}
+
+/**
+ * Get a serializer from the serializer option
+ * @param {string, object} option - 'jsonapi', { format: 'jsonapi', ...options } or a serializer
+ * @return {object} the serializer, null for plain JSON
+ */
+function resolveSerializer (option) {
+  if (!option) {
+    return null
+  }
+
+  if (isString(option)) {
+    option = { format: option }
+  }
+
+  if (has(option, 'read')) {
+    return option
+  }
+
+  if (!serializers[option.format]) {
+    throw new Error(`[Modelize][Serializer] unknown serializer '${option.format}'`)
+  }
+
+  return serializers[option.format](option)
+}
+
+export {
+  jsonApi,
+  resolveSerializer
+}
@@ -0,0 +1,48 @@
+import {
+  isArray,
+  isObject,
+  isString
+} from './utils/validation.js'
+
+
+/**
+ * Default parser of field errors sent by the server
+ * Supported formats:
+ *  - { errors: { 'plans[2].price': 'message' | ['message', ...] } }
+ *  - { errors: [{ path | field | param, message | msg, code }] }
+ * @param {object} response - { status, headers, data }
+ * @return {array} list of { path, message, code }
+ */
+function parseServerErrors (response) {
+  const errors = response.data && response.data.errors
+  const parsedErrors = []
+
+  if (isArray(errors)) {
+    for (const error of errors) {
+      if (isObject(error)) {
+        parsedErrors.push({
+          path: error.path || error.field || error.param,
+          message: error.message || error.msg || '',
+          code: error.code || 'server'
+        })
+      }
+    }
+  } else if (isObject(errors)) {
+    for (const path in errors) {
+      const messages = isArray(errors[path]) ? errors[path] : [errors[path]]
+
+      parsedErrors.push({
+        path: path,
+        message: messages.filter(message => isString(message)).join(' '),
+        code: 'server'
+      })
+    }
+  }
+
+  return parsedErrors.filter(error => isString(error.path) && error.path !== '')
+}
+
+
+export {
+  parseServerErrors
+}
@@ -0,0 +1,19 @@
+/**
+* Dispatch a modelize event on the document
+* Events are silently skipped outside of a browser (SSR, scripts, tests)
+* @param {String} name - name of the event
+* @param {*} detail - payload of the event
+*/
+function emit (name, detail) {
+  if (
+    typeof document !== 'undefined' &&
+    typeof CustomEvent !== 'undefined'
+  ) {
+    document.dispatchEvent(new CustomEvent(name, { detail }))
+  }
+}
+
+
+export {
+  emit
+}
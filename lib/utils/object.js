@@ -0,0 +1,109 @@
+import {
+  has,
+  isArray
+} from './validation.js'
+
+
+// Helpers
+const isPlainObject = (value) => {
+  if (typeof value !== 'object' || value === null) {
+    return false
+  }
+
+  const prototype = Object.getPrototypeOf(value)
+
+  return prototype === Object.prototype || prototype === null
+}
+
+
+/**
+* Deep copy of plain objects, arrays and dates
+* Other instances (models, files...) are kept by reference
+* @param {*} value - value to copy
+*/
+function cloneDeep (value) {
+  if (isArray(value)) {
+    return value.map(item => cloneDeep(item))
+  } else if (value instanceof Date) {
+    return new Date(value.getTime())
+  } else if (isPlainObject(value)) {
+    const copy = {}
+
+    for (const key in value) {
+      if (has(value, key)) {
+        copy[key] = cloneDeep(value[key])
+      }
+    }
+
+    return copy
+  }
+
+  return value
+}
+
+
+/**
+* Deep comparison of plain objects, arrays and dates
+* Other instances are compared by reference
+* @param {*} a
+* @param {*} b
+*/
+function isEqual (a, b) {
+  if (a === b) {
+    return true
+  } else if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  } else if (isArray(a) && isArray(b)) {
+    return (
+      a.length === b.length &&
+      a.every((item, index) => isEqual(item, b[index]))
+    )
+  } else if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => has(b, key) && isEqual(a[key], b[key]))
+    )
+  }
+
+  return false
+}
+
+
+/**
+* Split a key path into its segments
+* 'plans[2].price' and 'plans.2.price' give ['plans', '2', 'price']
+* @param {String} path
+*/
+function parsePath (path) {
+  return String(path)
+    .replace(/\[([^\]]*)\]/g, '.$1')
+    .split('.')
+    .filter(segment => segment !== '')
+}
+
+
+/**
+* Get a nested value by key path
+* @param {Object} object
+* @param {String} path - 'meta.next_cursor', 'result.items[0]'
+* @return {*} the value, undefined if a segment is missing
+*/
+function getPath (object, path) {
+  return parsePath(path).reduce(
+    (value, segment) => (value !== null && typeof value === 'object' && has(value, segment))
+      ? value[segment]
+      : undefined,
+    object
+  )
+}
+
+
+export {
+  isPlainObject,
+  cloneDeep,
+  isEqual,
+  parsePath,
+  getPath
+}
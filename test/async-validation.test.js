@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes } = Modelize
+
+
+test('a stale async check is cancelled through its signal without AbortController', async () => {
+  const NativeAbortController = global.AbortController
+  const signals = []
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api' })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    email: {
+      type: DataTypes.STRING,
+      isValidAsync: async (value, data, { signal }) => {
+        signals.push(signal)
+        await new Promise(resolve => setTimeout(resolve, 20))
+
+        return !signal.aborted
+      }
+    }
+  })
+
+  delete global.AbortController
+
+  try {
+    const user = new User({ email: 'ann@example.com' })
+    const stale = user.validAsync(['email'])
+    await new Promise(resolve => setTimeout(resolve, 5))
+
+    user.email = 'bob@example.com'
+    const latest = user.validAsync(['email'])
+
+    assert.equal((await latest).isValid, true)
+    assert.equal((await stale).isValid, true)
+    assert.equal(signals.length, 2)
+    assert.equal(signals[0].aborted, true)
+    assert.equal(signals[1].aborted, false)
+  } finally {
+    global.AbortController = NativeAbortController
+  }
+})
@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+import ResponseCache from '../lib/cache.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+// Helpers
+const tick = () => new Promise(resolve => setTimeout(resolve, 10))
+
+
+test('a stale page of getMore is replaced, not appended twice', async () => {
+  let version = 0
+  const adapter = Adapters.memory({
+    'GET /plans': (request) => {
+      const offset = Number(new URL(request.url).searchParams.get('offset'))
+
+      return {
+        data: {
+          count: 4,
+          rows: [offset + 1, offset + 2].map(id => ({ id: String(id), name: `v${version}` }))
+        }
+      }
+    }
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter, pagination: { type: 'offset', limit: 2 } })
+
+  class Plan extends Connection {}
+  Plan.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, { endpoint: 'plans', cache: { ttl: 0 } })
+
+  const plans = new Plan([])
+  await plans.getCollection()
+  await plans.getMore()
+  assert.deepEqual(plans.items().map(plan => plan.id), ['1', '2', '3', '4'])
+
+  // Both pages are served stale from the cache then revalidated
+  version = 1
+  await plans.getCollection()
+  await plans.getMore()
+  await tick()
+
+  assert.deepEqual(plans.items().map(plan => plan.id), ['1', '2', '3', '4'])
+  assert.deepEqual(plans.items().map(plan => plan.name), ['v1', 'v1', 'v1', 'v1'])
+  assert.equal(plans.$modelize.count, 4)
+  assert.equal(plans.hasMore(), false)
+})
+
+test('a failed revalidation keeps the stale response', async () => {
+  let fail = false
+  const adapter = async (request) => {
+    if (fail) {
+      throw new TypeError('Failed to fetch')
+    }
+
+    return { status: 200, headers: {}, data: { id: '1', name: 'cached' } }
+  }
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class Plan extends Connection {}
+  Plan.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, { endpoint: 'plans', cache: { ttl: 0 } })
+
+  await new Plan({}).get({ pk: '1' })
+
+  fail = true
+  const plan = new Plan({})
+  await plan.get({ pk: '1' })
+  await tick()
+
+  assert.equal(plan.name, 'cached')
+  assert.equal(plan.fetchSuccess, true)
+})
+
+test('a url prefix invalidates by path segment', () => {
+  const cache = new ResponseCache()
+
+  for (const key of ['/users', '/users/1', '/users?page=2', '/users-groups']) {
+    cache.set(key, {})
+  }
+
+  cache.invalidate('/users')
+
+  assert.deepEqual([...cache.entries.keys()], ['/users-groups'])
+})
@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+
+test('a collection patch sends every item', async () => {
+  const adapter = Adapters.memory({
+    'PATCH /users/bulk': (request) => ({ status: 200, data: request.body })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, { endpoint: 'users' })
+
+  const users = new User([{ id: 'u1', name: 'Ann' }, { id: 'u2', name: 'Bob' }])
+  users.items().forEach(user => user.valid(['id', 'name']))
+  await users.patch({ action: 'bulk' })
+
+  assert.equal(users.saveSuccess, true)
+  assert.deepEqual(adapter.requests[0].body, [{ id: 'u1', name: 'Ann' }, { id: 'u2', name: 'Bob' }])
+})
+
+test('an error thrown while the body is built fails the save', async () => {
+  const adapter = Adapters.memory({}, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: {
+      type: Object.assign({}, DataTypes.STRING, {
+        beforeSave: () => {
+          throw new TypeError('name can not be formatted')
+        }
+      })
+    }
+  }, { endpoint: 'users' })
+
+  const user = new User({ id: 'u1', name: 'Ann' }, { isNew: false })
+  user.name = 'Bob'
+  user.valid(['name'])
+  await user.patch()
+
+  assert.equal(user.saveInProgress, false)
+  assert.equal(user.saveFailure, true)
+  assert.equal(user.$modelize.failure.reason, 'error')
+  assert.equal(user.$modelize.failure.error.message, 'name can not be formatted')
+  assert.equal(adapter.requests.length, 0)
+})
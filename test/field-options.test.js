@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+
+test('virtual fields are neither sent nor received', async () => {
+  const adapter = Adapters.memory({
+    'GET /users/:id': (request, params) => ({ data: { id: params.id, email: 'a@b.c', newEmail: 'server@b.c' } }),
+    'PUT /users/:id': (request, params) => ({ data: Object.assign({ newEmail: 'server@b.c' }, request.body) })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    email: { type: DataTypes.STRING },
+    newEmail: { type: DataTypes.STRING, virtual: true, allowBlank: true }
+  }, { endpoint: 'users' })
+
+  const user = new User({})
+  await user.get({ pk: 'u1' })
+
+  assert.equal(user.newEmail, '')
+
+  user.newEmail = 'new@b.c'
+  user.valid(['email', 'newEmail'])
+  await user.put()
+
+  assert.deepEqual(adapter.requests[1].body, { id: 'u1', email: 'a@b.c' })
+  assert.equal(user.newEmail, 'new@b.c')
+})
@@ -0,0 +1,111 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+
+test('beforeValidate is called once per validated instance', async () => {
+  const calls = []
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter: Adapters.memory({}) })
+
+  class Plan extends Connection {}
+  Plan.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, {
+    hooks: {
+      beforeValidate: (plan, fieldlist) => calls.push(['plan', fieldlist])
+    }
+  })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING },
+    plans: { type: DataTypes.HASMANY(Plan) }
+  }, {
+    hooks: {
+      beforeValidate: (user, fieldlist) => calls.push(['user', fieldlist])
+    }
+  })
+
+  const user = new User({ name: 'Ann', plans: [{ name: 'Pro' }] })
+  const fieldlist = ['name', ['plans', ['name']]]
+
+  assert.equal(user.valid(fieldlist), true)
+  assert.deepEqual(calls, [['user', fieldlist], ['plan', ['name']]])
+
+  calls.length = 0
+  assert.equal((await user.validAsync(fieldlist)).isValid, true)
+  assert.deepEqual(calls, [['user', fieldlist], ['plan', ['name']]])
+})
+
+test('beforeSave runs where the body is built and a cancelled save sets saveCancelled', async () => {
+  const calls = []
+  const adapter = Adapters.memory({
+    'POST /users': (request) => ({ status: 201, data: Object.assign({ id: 'u1' }, request.body) })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class Plan extends Connection {}
+  Plan.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, {
+    endpoint: 'plans',
+    hooks: {
+      beforeSave: (plan) => {
+        calls.push('plan')
+        plan.name = plan.name.trim()
+      }
+    }
+  })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING },
+    plans: { type: DataTypes.HASMANY(Plan) }
+  }, {
+    endpoint: 'users',
+    hooks: {
+      beforeSave: (user, options) => {
+        calls.push('user')
+
+        return user.name !== ''
+      }
+    }
+  })
+
+  const user = new User({ name: '', plans: [{ name: ' Pro ' }] })
+  user.valid(['name', ['plans', ['name']]])
+  await user.post()
+
+  assert.equal(user.saveCancelled, true)
+  assert.equal(user.fetchCancelled, false)
+  assert.equal(adapter.requests.length, 0)
+  assert.deepEqual(calls, ['user'])
+
+  // Associated items run their hooks when they are formatted
+  calls.length = 0
+  user.name = 'Ann'
+  user.valid(['name', ['plans', ['name']]])
+  await user.post()
+
+  assert.equal(user.saveCancelled, false)
+  assert.equal(user.saveSuccess, true)
+  assert.deepEqual(calls, ['user', 'plan'])
+  assert.deepEqual(adapter.requests[0].body.plans, [{ name: 'Pro' }])
+
+  calls.length = 0
+  const plan = new Plan({ name: ' Max ' })
+  plan.valid(['name'])
+
+  assert.deepEqual(JSON.parse(plan.toJSON()), { name: 'Max' })
+  assert.deepEqual(calls, ['plan'])
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+
+test('mutual associations of identity mapped models', async () => {
+  const adapter = Adapters.memory({
+    'GET /users/:id': (request, params) => ({
+      data: { id: params.id, name: 'Ann', posts: [{ id: 'p1', title: 'Draft', author: { id: params.id, name: 'Ann' } }] }
+    }),
+    'PUT /users/:id': (request, params) => ({ data: Object.assign({ id: params.id }, request.body) })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class User extends Connection {}
+  class Post extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING },
+    posts: { type: DataTypes.HASMANY(Post) }
+  }, { endpoint: 'users', identityMap: true })
+  Post.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    title: { type: DataTypes.STRING },
+    author: { type: DataTypes.BELONGSTO(User) }
+  }, { endpoint: 'posts', identityMap: true })
+
+  const user = new User({})
+  await user.get({ pk: 'u1' })
+
+  // The instance of get() is the canonical one, the back reference included
+  assert.equal(User.identityMap.get('u1'), user)
+  assert.equal(user.posts.items()[0].author, user)
+  assert.equal(user.isDirty(), false)
+
+  user.name = 'Bob'
+  user.posts.items()[0].title = 'Published'
+
+  assert.deepEqual(user.dirtyFields(), ['name', 'posts'])
+  assert.deepEqual(user.changes().posts.changed, { p1: { title: { old: 'Draft', new: 'Published' } } })
+  assert.equal(user.valid(['name', ['posts', ['title', ['author', ['name']]]]]), true)
+
+  await user.put()
+
+  assert.equal(user.saveSuccess, true)
+  assert.deepEqual(adapter.requests[adapter.requests.length - 1].body, {
+    id: 'u1',
+    name: 'Bob',
+    posts: [{ id: 'p1', title: 'Published', author: { id: 'u1' } }]
+  })
+})
@@ -0,0 +1,155 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+import OfflineQueue from '../lib/offline.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+
+test('queued writes reach the server before a newer write to the same resource', async () => {
+  let online = false
+  let reachable = false
+  const server = []
+  const adapter = Adapters.memory({
+    '/users/:id': (request) => {
+      if (!reachable) {
+        throw new TypeError('Failed to fetch')
+      }
+      server.push(`${request.method} ${request.body.name}`)
+
+      return { status: 200, data: Object.assign({ id: 'u1', name: 'Ann' }, request.body) }
+    }
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({
+    baseUrl: 'https://api',
+    adapter,
+    offline: { isOnline: () => online }
+  })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, { endpoint: 'users' })
+
+  const user = new User({ id: 'u1', name: 'Ann' }, { isNew: false })
+  user.name = 'A'
+  user.valid(['name'])
+  await user.patch()
+
+  // Back online but the connection is lost during the replay
+  online = true
+  assert.equal(await User.replayQueue(), 1)
+
+  reachable = true
+  user.name = 'B'
+  user.valid(['name'])
+  await user.put()
+  assert.equal(user.saveQueued, true)
+  assert.deepEqual(server, [])
+
+  assert.equal(await User.replayQueue(), 0)
+  assert.deepEqual(server, ['PATCH A', 'PUT B'])
+  assert.equal(user.name, 'B')
+})
+
+test('a write failing with a server error stays queued by default', async () => {
+  let online = false
+  let status = 500
+  const adapter = Adapters.memory({
+    'POST /users': (request) => ({ status, data: Object.assign({ id: 'u2' }, request.body) })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({
+    baseUrl: 'https://api',
+    adapter,
+    offline: { isOnline: () => online }
+  })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, { endpoint: 'users' })
+
+  const user = new User({ name: 'Ann' })
+  user.valid(['name'])
+  await user.post()
+
+  online = true
+  assert.equal(await User.replayQueue(), 1)
+  assert.equal(user.saveQueued, true)
+
+  // Refused by a client error, the write is dropped
+  status = 422
+  assert.equal(await User.replayQueue(), 0)
+  assert.equal(user.saveQueued, false)
+  assert.equal(user.saveFailure, true)
+  assert.equal(adapter.requests.length, 2)
+})
+
+test('writes queued offline are sent before the next writes', async () => {
+  let online = false
+  const adapter = Adapters.memory({
+    'PUT /users/:id': (request) => ({ status: 200, data: request.body })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({
+    baseUrl: 'https://api',
+    adapter,
+    offline: { isOnline: () => online }
+  })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING }
+  }, { endpoint: 'users' })
+
+  const user = new User({ id: 'u1', name: 'Ann' }, { isNew: false })
+  user.valid(['name'])
+  await user.put()
+
+  online = true
+  user.name = 'Bob'
+  user.valid(['name'])
+  await user.put()
+
+  assert.equal(user.saveQueued, true)
+  assert.equal(adapter.requests.length, 0)
+
+  assert.equal(await User.replayQueue(), 0)
+  assert.equal(adapter.requests.length, 1)
+  assert.equal(adapter.requests[0].body.name, 'Bob')
+})
+
+test('a send which throws keeps the entry and stops the replay', async () => {
+  const queue = new OfflineQueue()
+  await queue.enqueue({ endpoint: 'users', options: { method: 'POST' }, request: { method: 'POST', body: {} } }, {})
+
+  const size = await queue.replay(async () => {
+    throw new TypeError('adapter is not a function')
+  })
+
+  assert.equal(size, 1)
+  assert.equal(queue.status().replaying, false)
+})
+
+test('the online listener is registered once per connection', () => {
+  const listeners = []
+  global.window = { addEventListener: (type, listener) => listeners.push(type) }
+
+  try {
+    class Connection extends Model {}
+    Connection.config({ baseUrl: 'https://api', offline: {} })
+    Connection.config({ baseUrl: 'https://api', offline: {} })
+
+    assert.deepEqual(listeners, ['online'])
+  } finally {
+    delete global.window
+  }
+})
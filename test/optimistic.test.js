@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+// Helpers
+const defineUser = (fixtures) => {
+  const adapter = Adapters.memory(fixtures, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter })
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true },
+    name: { type: DataTypes.STRING },
+    role: { type: DataTypes.STRING },
+    city: { type: DataTypes.STRING }
+  }, { endpoint: 'users' })
+
+  return User
+}
+
+
+test('an optimistic write rolls back the fields it sent only', async () => {
+  let release
+  const User = defineUser({
+    'PUT /users/:id': () => new Promise(resolve => {
+      release = () => resolve({ status: 500 })
+    })
+  })
+
+  const user = new User({ id: 'u1', name: 'Ann', role: 'user', city: 'Paris' }, { isNew: false })
+  user.name = 'Bob'
+  user.role = 'admin'
+  user.valid(['name', 'role'])
+
+  const saving = user.put({ optimistic: true })
+
+  // Edited while the request is in flight
+  await new Promise(resolve => setTimeout(resolve, 0))
+  user.role = 'owner'
+  user.city = 'Lyon'
+  release()
+  await saving
+
+  assert.equal(user.saveFailure, true)
+  assert.equal(user.name, 'Ann')
+  assert.equal(user.role, 'owner')
+  assert.equal(user.city, 'Lyon')
+})
+
+test('an optimistic update refused by a conflict keeps its changes', async () => {
+  const User = defineUser({
+    'GET /users/:id': (request, params) => ({ headers: { etag: '"1"' }, data: { id: params.id, name: 'Ann', role: 'user', city: 'Paris' } }),
+    'PUT /users/:id': (request, params) => (
+      request.headers['If-Match'] === '"2"'
+        ? { headers: { etag: '"3"' }, data: Object.assign({ id: params.id }, request.body) }
+        : { status: 412, headers: { etag: '"2"' }, data: { id: params.id, name: 'Ann', role: 'user', city: 'Lyon' } }
+    )
+  })
+
+  const user = new User({})
+  await user.get({ pk: 'u1' })
+  user.name = 'Bob'
+  user.valid(['name'])
+
+  await user.put({ optimistic: true })
+
+  assert.equal(user.saveConflict, true)
+  assert.equal(user.name, 'Bob')
+  assert.deepEqual(user.conflict().diff, {
+    name: { base: 'Ann', local: 'Bob', remote: 'Ann', conflict: false },
+    city: { base: 'Paris', local: 'Paris', remote: 'Lyon', conflict: false }
+  })
+
+  user.resolveConflict()
+  user.valid(['name', 'city'])
+  await user.put({ optimistic: true })
+
+  assert.equal(user.saveSuccess, true)
+  assert.equal(user.name, 'Bob')
+  assert.equal(user.city, 'Lyon')
+})
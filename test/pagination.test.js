@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+// Helpers
+const defineUser = (options) => {
+  class Connection extends Model {}
+  Connection.config(options)
+
+  class User extends Connection {}
+  User.init({
+    id: { type: DataTypes.STRING, primaryKey: true }
+  }, { endpoint: 'users' })
+
+  return User
+}
+
+
+test('link pagination with a relative baseUrl', async () => {
+  const adapter = Adapters.memory({
+    'GET /users': (request) => request.url.includes('page=2')
+      ? { data: [{ id: '2' }] }
+      : { headers: { link: '</api/users?page=2>; rel="next"' }, data: [{ id: '1' }] }
+  }, { baseUrl: '/api' })
+  const User = defineUser({ baseUrl: '/api', adapter, pagination: 'link' })
+
+  const users = new User([])
+  await users.getCollection()
+
+  assert.equal(users.fetchSuccess, true)
+  assert.equal(users.hasMore(), true)
+
+  await users.getMore()
+
+  assert.equal(adapter.requests[1].url, '/api/users?page=2')
+  assert.deepEqual(users.items().map(user => user.id), ['1', '2'])
+  assert.equal(users.hasMore(), false)
+})
+
+test('a pagination strategy which throws fails the request', async () => {
+  const adapter = Adapters.memory({ 'GET /users': { data: [{ id: '1' }] } }, { baseUrl: 'https://api' })
+  const error = new Error('unreadable page')
+  const User = defineUser({
+    baseUrl: 'https://api',
+    adapter,
+    pagination: {
+      initial: (params) => params,
+      page: (params) => ({ params }),
+      next: (params) => ({ params }),
+      read: () => {
+        throw error
+      }
+    }
+  })
+
+  const users = new User([])
+  await users.getCollection()
+
+  assert.equal(users.fetchInProgress, false)
+  assert.equal(users.fetchFailure, true)
+  assert.equal(users.$modelize.failure.error, error)
+})
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import Modelize from '../index.js'
+import { jsonApi } from '../lib/serializers.js'
+
+const { Model, DataTypes, Adapters } = Modelize
+
+
+test('JSON:API params of the pagination strategies go to page[]', () => {
+  const serializer = jsonApi()
+
+  assert.deepEqual(serializer.params({ limit: 20, offset: 40 }), { 'page[limit]': 20, 'page[offset]': 40 })
+  assert.deepEqual(serializer.params({ page: 2, per_page: 20 }), { 'page[number]': 2, 'page[size]': 20 })
+  assert.deepEqual(serializer.params({ page: 2, size: 10, sort: 'name' }), { sort: 'name', 'page[number]': 2, 'page[size]': 10 })
+  assert.deepEqual(serializer.params({ page: { cursor: 'abc' } }), { 'page[cursor]': 'abc' })
+})
+
+test('JSON:API bodies identify the resource and its relationships with serialized primary keys', async () => {
+  const adapter = Adapters.memory({
+    '/articles/:id': (request) => ({ status: 200, data: request.body })
+  }, { baseUrl: 'https://api' })
+
+  class Connection extends Model {}
+  Connection.config({ baseUrl: 'https://api', adapter, serializer: 'jsonapi' })
+
+  class Author extends Connection {}
+  Author.init({
+    id: { type: DataTypes.UUID, primaryKey: true }
+  }, { endpoint: 'authors' })
+
+  class Article extends Connection {}
+  Article.init({
+    id: { type: DataTypes.UUID, primaryKey: true },
+    title: { type: DataTypes.STRING },
+    author: { type: DataTypes.BELONGSTO(Author) }
+  }, { endpoint: 'articles' })
+
+  const article = new Article({
+    id: '11111111-2222-3333-4444-555555555555',
+    title: 'T',
+    author: { id: '66666666-7777-8888-9999-000000000000' }
+  }, { isNew: false })
+
+  // Only the changed title is sent, the resource is still identified
+  article.title = 'U'
+  article.valid(['title', 'author'])
+  await article.patch()
+
+  assert.deepEqual(adapter.requests[0].body, {
+    data: {
+      type: 'articles',
+      id: '11111111-2222-3333-4444-555555555555',
+      attributes: { title: 'U' }
+    }
+  })
+
+  await article.put()
+
+  assert.deepEqual(adapter.requests[1].body.data.relationships, {
+    author: { data: { type: 'authors', id: '66666666-7777-8888-9999-000000000000' } }
+  })
+})